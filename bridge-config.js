@@ -0,0 +1,287 @@
+// Local bridge configuration: which MCP servers server.js runs and how
+// Read from bridge.config.json (or the file named by BRIDGE_CONFIG), falling back to
+// Claude Desktop's config. ${VAR} and ${VAR:-default} are filled in from the environment.
+
+const fs = require('fs');
+const path = require('path');
+const { validateSchema } = require('./mcp-validation');
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, 'bridge.config.json');
+const RELOAD_DEBOUNCE = 300; // Editors often write a file in several steps
+
+const SERVER_NAME_PATTERN = /^[A-Za-z0-9_.-]+$/;
+
+const SERVER_SCHEMA = {
+    type: 'object',
+    properties: {
+        enabled: { type: 'boolean', default: true },
+        // stdio servers
+        command: { type: 'string', minLength: 1 },
+        args: { type: 'array', items: { type: 'string' }, default: [] },
+        env: { type: 'object', additionalProperties: { type: 'string' }, default: {} },
+        // HTTP servers
+        url: { type: 'string', pattern: '^https?://' },
+        type: { type: 'string', enum: ['stdio', 'http', 'streamable-http', 'sse'] },
+        headers: { type: 'object', additionalProperties: { type: 'string' }, default: {} },
+        roots: { type: 'array', items: { type: 'string', minLength: 1 } },
+        // Milliseconds a request may go without a reply or progress
+        timeout: { type: 'integer', minimum: 1000, default: 15000 },
+        connectTimeout: { type: 'integer', minimum: 1000, default: 60000 },
+        // Per-tool overrides of `timeout`, e.g. { "get_athlete_stats": 45000 }
+        toolTimeouts: { type: 'object', additionalProperties: { type: 'integer', minimum: 1000 }, default: {} },
+        // Tool calls allowed to run at once; extra calls queue, and are refused once the queue is full
+        concurrency: {
+            type: 'object',
+            properties: {
+                maxConcurrent: { type: 'integer', minimum: 1, default: 4 },
+                maxQueued: { type: 'integer', minimum: 0, default: 32 },
+                queueTimeout: { type: 'integer', minimum: 1000, default: 30000 }
+            },
+            additionalProperties: false,
+            default: {}
+        },
+        // Spawn only on the first tool call and stop after idleTimeout ms without calls
+        lazy: { type: 'boolean', default: false },
+        idleTimeout: { type: 'integer', minimum: 1000, default: 300000 },
+        // Restart policy when the server dies
+        retries: {
+            type: 'object',
+            properties: {
+                maxRestarts: { type: 'integer', minimum: 0, default: 5 },
+                baseDelay: { type: 'integer', minimum: 100, default: 1000 },
+                maxDelay: { type: 'integer', minimum: 100, default: 30000 }
+            },
+            additionalProperties: false,
+            default: {}
+        },
+        // Other names the server answers to in /api/mcp/:serverName/...
+        aliases: { type: 'array', items: { type: 'string', pattern: SERVER_NAME_PATTERN.source }, default: [] },
+        // Hints printed when the server keeps crashing
+        troubleshooting: { type: ['string', 'array'], items: { type: 'string' } }
+    },
+    additionalProperties: false
+};
+
+const CONFIG_SCHEMA = {
+    type: 'object',
+    properties: {
+        mcpServers: { type: 'object', additionalProperties: SERVER_SCHEMA, default: {} }
+    }
+};
+
+class ConfigError extends Error {
+    constructor(file, errors) {
+        super(`Invalid bridge config ${file}`);
+        this.name = 'ConfigError';
+        this.file = file;
+        this.errors = errors;
+    }
+
+    // One line per problem, ready for the console
+    report() {
+        return [`❌ ${this.message}:`, ...this.errors.map(error => `   - ${error.field}: ${error.message}`)].join('\n');
+    }
+}
+
+// Replace ${VAR} / ${VAR:-default} in every string; unset variables without a default are errors
+function substituteEnv(value, env, field, errors) {
+    if (typeof value === 'string') {
+        return value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g, (match, name, fallback) => {
+            if (env[name] !== undefined && env[name] !== '') return env[name];
+            if (fallback !== undefined) return fallback;
+            errors.push({ field, message: `environment variable ${name} is not set` });
+            return match;
+        });
+    }
+    if (Array.isArray(value)) {
+        return value.map((item, index) => substituteEnv(item, env, `${field}[${index}]`, errors));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, substituteEnv(item, env, `${field}.${key}`, errors)]));
+    }
+    return value;
+}
+
+// Checks the schema can't express: transport choice, names and alias clashes
+function checkServers(servers, errors) {
+    const owners = new Map(Object.keys(servers).map(name => [name, name]));
+
+    for (const [name, server] of Object.entries(servers)) {
+        const field = `mcpServers.${name}`;
+        if (!server || typeof server !== 'object') continue; // Already reported by the schema
+
+        if (!SERVER_NAME_PATTERN.test(name)) {
+            errors.push({ field, message: 'server names may only contain letters, digits, ".", "_" and "-"' });
+        }
+
+        if (!server.command === !server.url) {
+            errors.push({ field, message: 'needs either "command" or "url", not both' });
+        } else if (server.url && server.type === 'stdio') {
+            errors.push({ field: `${field}.type`, message: '"stdio" needs a "command", not a "url"' });
+        } else if (server.command && server.type && server.type !== 'stdio') {
+            errors.push({ field: `${field}.type`, message: `"${server.type}" needs a "url", not a "command"` });
+        }
+
+        if (server.retries && server.retries.maxDelay < server.retries.baseDelay) {
+            errors.push({ field: `${field}.retries.maxDelay`, message: 'must be >= retries.baseDelay' });
+        }
+
+        for (const alias of Array.isArray(server.aliases) ? server.aliases : []) {
+            const owner = owners.get(alias);
+            if (owner && owner !== name) {
+                errors.push({ field: `${field}.aliases`, message: `"${alias}" is already used by ${owner}` });
+            }
+            owners.set(alias, name);
+        }
+    }
+}
+
+// Substitute and validate parsed config; returns the result and every problem found
+function validateConfig(raw, env) {
+    const errors = [];
+    const servers = raw && typeof raw.mcpServers === 'object' && !Array.isArray(raw.mcpServers) ? raw.mcpServers : null;
+    if (servers) {
+        // Disabled servers may reference variables that aren't set on this machine
+        raw = {
+            ...raw,
+            mcpServers: Object.fromEntries(Object.entries(servers).map(([name, server]) => {
+                const serverErrors = [];
+                const substituted = substituteEnv(server, env, `mcpServers.${name}`, serverErrors);
+                if (server?.enabled !== false) errors.push(...serverErrors);
+                return [name, substituted];
+            }))
+        };
+    }
+
+    const { value, errors: schemaErrors } = validateSchema(CONFIG_SCHEMA, raw);
+    errors.push(...schemaErrors);
+    if (value.mcpServers && typeof value.mcpServers === 'object' && !Array.isArray(value.mcpServers)) {
+        checkServers(value.mcpServers, errors);
+    }
+    return { value, errors };
+}
+
+// Claude Desktop's config isn't ours to dictate: keys the bridge doesn't know are
+// dropped with a warning, and "transport" is read as "type"
+function relaxServers(raw, file) {
+    if (!raw || typeof raw.mcpServers !== 'object' || Array.isArray(raw.mcpServers)) return raw;
+
+    const mcpServers = {};
+    for (const [name, server] of Object.entries(raw.mcpServers)) {
+        if (!server || typeof server !== 'object' || Array.isArray(server)) {
+            mcpServers[name] = server;
+            continue;
+        }
+
+        const relaxed = {};
+        for (const [key, value] of Object.entries(server)) {
+            if (key === 'transport' && server.type === undefined) {
+                relaxed.type = value;
+            } else if (Object.prototype.hasOwnProperty.call(SERVER_SCHEMA.properties, key)) {
+                relaxed[key] = value;
+            } else {
+                console.error(`⚠️  ${file}: ignoring mcpServers.${name}.${key}, which the bridge does not use`);
+            }
+        }
+        mcpServers[name] = relaxed;
+    }
+    return { ...raw, mcpServers };
+}
+
+// Parse, substitute and validate one config file's contents. With `strict` off (Claude
+// Desktop's config) unknown keys are ignored and invalid servers skipped with a warning
+// instead of failing the whole file.
+function parseConfig(text, file, env = process.env, { strict = true } = {}) {
+    let raw;
+    try {
+        raw = JSON.parse(text);
+    } catch (error) {
+        throw new ConfigError(file, [{ field: '(file)', message: `is not valid JSON: ${error.message}` }]);
+    }
+
+    if (!strict) {
+        raw = relaxServers(raw, file);
+    }
+    let { value, errors } = validateConfig(raw, env);
+
+    if (errors.length > 0 && !strict && raw?.mcpServers && typeof raw.mcpServers === 'object') {
+        const invalid = Object.keys(raw.mcpServers).filter(name => errors.some(error =>
+            error.field === `mcpServers.${name}` || error.field.startsWith(`mcpServers.${name}.`) || error.field.startsWith(`mcpServers.${name}[`)
+        ));
+        for (const error of errors) {
+            console.error(`⚠️  ${file}: ${error.field} ${error.message}`);
+        }
+        invalid.forEach(name => console.error(`⚠️  ${file}: skipping MCP server ${name}`));
+
+        const mcpServers = Object.fromEntries(Object.entries(raw.mcpServers).filter(([name]) => !invalid.includes(name)));
+        ({ value, errors } = validateConfig({ ...raw, mcpServers }, env));
+    }
+
+    if (errors.length > 0) {
+        throw new ConfigError(file, errors);
+    }
+
+    for (const server of Object.values(value.mcpServers)) {
+        if (typeof server.troubleshooting === 'string') {
+            server.troubleshooting = [server.troubleshooting];
+        }
+    }
+    return value;
+}
+
+// Only the bridge's own config file is held to the full schema
+function isBridgeConfigFile(file, env = process.env) {
+    const own = env.BRIDGE_CONFIG ? path.resolve(env.BRIDGE_CONFIG) : DEFAULT_CONFIG_FILE;
+    return path.resolve(file) === own && path.basename(file) !== 'claude_desktop_config.json';
+}
+
+// Where the config comes from: the bridge's own file if present, otherwise Claude Desktop's
+function findConfigFile(env = process.env) {
+    // An explicitly named file that doesn't exist is a mistake, not a reason to fall back
+    if (env.BRIDGE_CONFIG) {
+        const file = path.resolve(env.BRIDGE_CONFIG);
+        if (!fs.existsSync(file)) {
+            throw new ConfigError(file, [{ field: '(file)', message: 'does not exist (set by BRIDGE_CONFIG)' }]);
+        }
+        return file;
+    }
+
+    const candidates = [
+        DEFAULT_CONFIG_FILE,
+        path.join(env.HOME || '', '.config', 'claude', 'claude_desktop_config.json'),
+        path.join(env.HOME || '', 'Library', 'Application Support', 'Claude', 'claude_desktop_config.json')
+    ];
+
+    for (const file of candidates) {
+        if (fs.existsSync(file)) {
+            return file;
+        }
+        console.log(`Config file not found at ${file}`);
+    }
+    return null;
+}
+
+async function loadConfig(file, env = process.env) {
+    const text = await fs.promises.readFile(file, 'utf8');
+    return parseConfig(text, file, env, { strict: isBridgeConfigFile(file, env) });
+}
+
+// Call `onChange()` whenever the file is written. The directory is watched, so
+// editors that save by replacing the file are picked up too.
+function watchConfig(file, onChange) {
+    let timer = null;
+    const watcher = fs.watch(path.dirname(file), (eventType, filename) => {
+        if (filename && filename !== path.basename(file)) return;
+        clearTimeout(timer);
+        timer = setTimeout(onChange, RELOAD_DEBOUNCE);
+    });
+
+    return {
+        close() {
+            clearTimeout(timer);
+            watcher.close();
+        }
+    };
+}
+
+module.exports = { ConfigError, findConfigFile, loadConfig, parseConfig, watchConfig };
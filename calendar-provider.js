@@ -0,0 +1,587 @@
+// Google Calendar provider: the calendar tools every entry point offers, how each one
+// maps onto the Google Calendar API and how Google's errors are reported
+// Used by server-railway.js (HTTPMCPClient and the per-user /mcp/calendar endpoint) and
+// mcp-deployment/google-calendar-mcp, which is deployed on its own and runs a vendored
+// copy: run `npm run vendor:calendar` after changing this file or the modules it requires.
+
+const crypto = require('crypto');
+const { JSONRPC_ERRORS, MCPError } = require('./mcp-protocol');
+const { READ_ONLY, ADDITIVE, DESTRUCTIVE, toolResult } = require('./mcp-tools');
+const { validateToolArguments } = require('./mcp-validation');
+
+// Calendars per free/busy query, the API's limit
+const FREE_BUSY_BATCH_SIZE = 50;
+
+// ---- OUTPUT SCHEMAS ----
+
+const CALENDAR_SCHEMA = {
+    type: 'object',
+    properties: {
+        id: { type: 'string' },
+        summary: { type: 'string' },
+        description: { type: 'string' },
+        timeZone: { type: 'string' },
+        primary: { type: 'boolean' },
+        accessRole: { type: 'string' },
+        backgroundColor: { type: 'string' }
+    },
+    required: ['id']
+};
+
+const EVENT_TIME_SCHEMA = {
+    type: 'object',
+    properties: {
+        dateTime: { type: 'string', format: 'date-time' },
+        date: { type: 'string', format: 'date' },
+        timeZone: { type: 'string' }
+    }
+};
+
+const EVENT_SCHEMA = {
+    type: 'object',
+    properties: {
+        id: { type: 'string' },
+        status: { type: 'string' },
+        htmlLink: { type: 'string' },
+        summary: { type: 'string' },
+        description: { type: 'string' },
+        location: { type: 'string' },
+        start: EVENT_TIME_SCHEMA,
+        end: EVENT_TIME_SCHEMA,
+        attendees: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    email: { type: 'string' },
+                    displayName: { type: 'string' },
+                    responseStatus: { type: 'string' }
+                }
+            }
+        },
+        organizer: { type: 'object', properties: { email: { type: 'string' } } },
+        created: { type: 'string', format: 'date-time' },
+        updated: { type: 'string', format: 'date-time' }
+    },
+    required: ['id']
+};
+
+const EVENT_LIST_SCHEMA = {
+    type: 'object',
+    properties: {
+        events: { type: 'array', items: EVENT_SCHEMA },
+        nextPageToken: { type: 'string' }
+    },
+    required: ['events']
+};
+
+const FREE_BUSY_SCHEMA = {
+    type: 'object',
+    properties: {
+        timeMin: { type: 'string', format: 'date-time' },
+        timeMax: { type: 'string', format: 'date-time' },
+        calendars: {
+            type: 'object',
+            description: 'Busy intervals keyed by calendar ID',
+            additionalProperties: {
+                type: 'object',
+                properties: {
+                    busy: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                start: { type: 'string', format: 'date-time' },
+                                end: { type: 'string', format: 'date-time' }
+                            }
+                        }
+                    },
+                    errors: { type: 'array', items: { type: 'object' } }
+                }
+            }
+        }
+    },
+    required: ['calendars']
+};
+
+// What a destructive tool returns instead of running when confirmation is required
+const CONFIRMATION_SCHEMA = {
+    type: 'object',
+    properties: {
+        confirmation_required: { type: 'boolean', const: true },
+        confirmation_token: { type: 'string', description: 'Pass back as confirmation_token, with otherwise identical arguments, to run the call' },
+        expires_at: { type: 'string', format: 'date-time' },
+        action: { type: 'string', enum: ['update', 'delete'] },
+        message: { type: 'string' },
+        event: EVENT_SCHEMA,
+        changes: { type: 'object', description: 'Fields the update would change' }
+    },
+    required: ['confirmation_required', 'confirmation_token', 'expires_at', 'action', 'event']
+};
+
+// Output of a tool that may answer with a confirmation preview first
+function confirmable(schema) {
+    return { type: 'object', oneOf: [schema, CONFIRMATION_SCHEMA] };
+}
+
+const CONFIRMATION_TOKEN_PROPERTY = {
+    type: 'string',
+    description: 'Token from this tool\'s preview response. Without it the call only returns a preview of the affected event.'
+};
+
+// ---- TOOLS ----
+
+const CALENDAR_TOOLS = [
+    {
+        name: 'list_gcal_calendars',
+        description: 'List all available calendars in Google Calendar',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                page_token: { type: 'string', description: 'Token for pagination' }
+            }
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                calendars: { type: 'array', items: CALENDAR_SCHEMA },
+                nextPageToken: { type: 'string' }
+            },
+            required: ['calendars']
+        },
+        annotations: READ_ONLY
+    },
+    {
+        name: 'list_gcal_events',
+        description: 'This tool lists or searches events from a specific Google Calendar',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                calendar_id: { type: 'string', description: 'Always supply this field explicitly. Use the default of \'primary\' unless the user tells you have a good reason to use a specific calendar', default: 'primary' },
+                max_results: { type: 'integer', description: 'Maximum number of events returned per calendar', default: 25, minimum: 1, maximum: 2500 },
+                page_token: { type: 'string', description: 'Token specifying which result page to return' },
+                query: { type: 'string', description: 'Free text search terms to find events' },
+                time_max: { type: 'string', description: 'Upper bound (exclusive) for an event\'s start time to filter by', format: 'date-time' },
+                time_min: { type: 'string', description: 'Lower bound (exclusive) for an event\'s end time to filter by', format: 'date-time' },
+                time_zone: { type: 'string', description: 'Time zone used in the response, formatted as an IANA Time Zone Database name' }
+            },
+            required: ['calendar_id']
+        },
+        outputSchema: EVENT_LIST_SCHEMA,
+        annotations: READ_ONLY
+    },
+    {
+        name: 'fetch_gcal_event',
+        description: 'Retrieve a specific event from a Google calendar',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                calendar_id: { type: 'string', description: 'The ID of the calendar containing the event' },
+                event_id: { type: 'string', description: 'The ID of the event to retrieve' }
+            },
+            required: ['calendar_id', 'event_id']
+        },
+        outputSchema: EVENT_SCHEMA,
+        annotations: READ_ONLY
+    },
+    {
+        name: 'search_gcal_events',
+        description: 'Search for events in a calendar by text query',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                calendar_id: { type: 'string', description: 'ID of the calendar to search events in (use \'primary\' for the main calendar)' },
+                query: { type: 'string', description: 'Free text search query' },
+                time_max: { type: 'string', description: 'End time boundary in ISO format with timezone required', format: 'date-time' },
+                time_min: { type: 'string', description: 'Start time boundary in ISO format with timezone required', format: 'date-time' }
+            },
+            required: ['calendar_id', 'query']
+        },
+        outputSchema: EVENT_LIST_SCHEMA,
+        annotations: READ_ONLY
+    },
+    {
+        name: 'create_gcal_event',
+        description: 'Create a new calendar event',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                calendar_id: { type: 'string', description: 'ID of the calendar to create the event in (use \'primary\' for the main calendar)' },
+                summary: { type: 'string', description: 'Title of the event' },
+                description: { type: 'string', description: 'Description/notes for the event (optional)' },
+                start: { type: 'string', description: 'Start time in ISO format with timezone required', format: 'date-time' },
+                end: { type: 'string', description: 'End time in ISO format with timezone required', format: 'date-time' },
+                time_zone: { type: 'string', description: 'Timezone of the event start/end times' },
+                location: { type: 'string', description: 'Location of the event (optional)' },
+                color_id: { type: 'string', description: 'Event color, an ID from the calendar\'s event colors (optional)' },
+                attendees: { type: 'array', description: 'List of attendee email addresses (optional)', items: { type: 'object', properties: { email: { type: 'string', format: 'email' } }, required: ['email'] } }
+            },
+            required: ['calendar_id', 'summary', 'start', 'end', 'time_zone']
+        },
+        outputSchema: EVENT_SCHEMA,
+        annotations: ADDITIVE
+    },
+    {
+        name: 'update_gcal_event',
+        description: 'Update an existing calendar event',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                calendar_id: { type: 'string', description: 'ID of the calendar containing the event' },
+                event_id: { type: 'string', description: 'ID of the event to update' },
+                summary: { type: 'string', description: 'New title for the event (optional)' },
+                description: { type: 'string', description: 'New description for the event (optional)' },
+                start: { type: 'string', description: 'New start time in ISO format with timezone required', format: 'date-time' },
+                end: { type: 'string', description: 'New end time in ISO format with timezone required', format: 'date-time' },
+                time_zone: { type: 'string', description: 'Timezone for the start/end times' },
+                location: { type: 'string', description: 'New location for the event (optional)' },
+                color_id: { type: 'string', description: 'New event color, an ID from the calendar\'s event colors (optional)' },
+                attendees: { type: 'array', description: 'New list of attendee email addresses (optional)', items: { type: 'object', properties: { email: { type: 'string', format: 'email' } }, required: ['email'] } },
+                confirmation_token: CONFIRMATION_TOKEN_PROPERTY
+            },
+            required: ['calendar_id', 'event_id', 'time_zone']
+        },
+        outputSchema: confirmable(EVENT_SCHEMA),
+        annotations: DESTRUCTIVE
+    },
+    {
+        name: 'delete_gcal_event',
+        description: 'Delete a calendar event',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                calendar_id: { type: 'string', description: 'ID of the calendar containing the event' },
+                event_id: { type: 'string', description: 'ID of the event to delete' },
+                confirmation_token: CONFIRMATION_TOKEN_PROPERTY
+            },
+            required: ['calendar_id', 'event_id']
+        },
+        outputSchema: confirmable({
+            type: 'object',
+            properties: {
+                success: { type: 'boolean' },
+                message: { type: 'string' }
+            },
+            required: ['success']
+        }),
+        annotations: DESTRUCTIVE
+    },
+    {
+        name: 'find_free_time',
+        description: 'Use this tool to find free time periods across a list of calendars',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                calendar_ids: { type: 'array', description: 'List of calendar IDs to analyze for free time intervals', items: { type: 'string' }, minItems: 1 },
+                time_min: { type: 'string', description: 'Lower bound (exclusive) for an event\'s end time to filter by' },
+                time_max: { type: 'string', description: 'Upper bound (exclusive) for an event\'s start time to filter by' },
+                time_zone: { type: 'string', description: 'Time zone used in the response, formatted as an IANA Time Zone Database name' }
+            },
+            required: ['calendar_ids', 'time_max', 'time_min']
+        },
+        outputSchema: FREE_BUSY_SCHEMA,
+        annotations: READ_ONLY
+    }
+];
+
+// The MCP error for a failed Google API call. Google puts the machine-readable
+// cause (e.g. rateLimitExceeded) in errors[].reason.
+function calendarError(error) {
+    const status = error.response?.status;
+    const reason = error.errors?.[0]?.reason || error.response?.data?.error;
+    const message = `Google Calendar API error: ${error.message}`;
+    const data = { status, reason };
+
+    // invalid_grant: the refresh token was revoked or has expired
+    if (status === 401 || reason === 'invalid_grant') {
+        return new MCPError(JSONRPC_ERRORS.UNAUTHORIZED, `${message} (the Google credentials were rejected)`, { status: 401, data });
+    }
+    if (status === 404) {
+        return new MCPError(JSONRPC_ERRORS.RESOURCE_NOT_FOUND, message, { status: 404, data });
+    }
+    if (status === 429 || reason === 'rateLimitExceeded' || reason === 'userRateLimitExceeded') {
+        return new MCPError(JSONRPC_ERRORS.SERVER_UNAVAILABLE, message, { status: 429, data });
+    }
+    return new MCPError(status >= 500 ? JSONRPC_ERRORS.SERVER_UNAVAILABLE : JSONRPC_ERRORS.INTERNAL_ERROR, message, { status: 502, data });
+}
+
+// Google Calendar API access for one user's OAuth client and refresh token
+class CalendarProvider {
+    // `confirmations` is a ConfirmationStore; with it, update and delete calls return
+    // a preview and a token first and only run when called again with that token
+    constructor({ clientId, clientSecret, refreshToken }, { confirmations = null } = {}) {
+        this.clientId = clientId;
+        this.clientSecret = clientSecret;
+        this.refreshToken = refreshToken;
+        this.confirmations = confirmations;
+        this.auth = null;
+        this.api = null;
+    }
+
+    get configured() {
+        return !!(this.clientId && this.clientSecret && this.refreshToken);
+    }
+
+    get tools() {
+        return CALENDAR_TOOLS;
+    }
+
+    // googleapis is only loaded once a calendar call is actually made
+    get calendar() {
+        if (!this.api) {
+            const { OAuth2Client } = require('google-auth-library');
+            const { google } = require('googleapis');
+
+            this.auth = new OAuth2Client(this.clientId, this.clientSecret);
+            this.auth.setCredentials({ refresh_token: this.refreshToken });
+            this.api = google.calendar({ version: 'v3', auth: this.auth });
+        }
+        return this.api;
+    }
+
+    // Run a calendar tool; options as for StravaProvider.callTool
+    async callTool(toolName, parameters, { signal, onProgress = () => {}, log = () => {} } = {}) {
+        parameters = validateToolArguments(CALENDAR_TOOLS, toolName, parameters);
+
+        const calendar = this.calendar;
+        
+        // googleapis retries 429s and 5xx responses itself; let the client know when it does
+        const requestOptions = {
+            signal,
+            retryConfig: {
+                onRetryAttempt: (error) => {
+                    const status = error.response?.status;
+                    log('warning', {
+                        tool: toolName,
+                        status,
+                        message: `Retrying Google Calendar request (attempt ${error.config.retryConfig.currentRetryAttempt}) after ${status ? `HTTP ${status}` : error.message}`
+                    }, 'google-calendar');
+                }
+            }
+        };
+        
+        try {
+            switch (toolName) {
+                case 'list_gcal_calendars':
+                    const calendars = await calendar.calendarList.list({
+                        pageToken: parameters.page_token
+                    }, requestOptions);
+                    return toolResult(calendars.data.items || [], {
+                        calendars: calendars.data.items || [],
+                        nextPageToken: calendars.data.nextPageToken
+                    });
+                    
+                case 'list_gcal_events':
+                    const events = await calendar.events.list({
+                        calendarId: parameters.calendar_id,
+                        timeMin: parameters.time_min,
+                        timeMax: parameters.time_max,
+                        maxResults: parameters.max_results,
+                        pageToken: parameters.page_token,
+                        q: parameters.query,
+                        timeZone: parameters.time_zone,
+                        singleEvents: true,
+                        orderBy: 'startTime'
+                    }, requestOptions);
+                    return toolResult(events.data.items || [], {
+                        events: events.data.items || [],
+                        nextPageToken: events.data.nextPageToken
+                    });
+                    
+                case 'fetch_gcal_event':
+                    const event = await calendar.events.get({
+                        calendarId: parameters.calendar_id,
+                        eventId: parameters.event_id
+                    }, requestOptions);
+                    return toolResult(event.data);
+                    
+                case 'search_gcal_events':
+                    const searchEvents = await calendar.events.list({
+                        calendarId: parameters.calendar_id,
+                        q: parameters.query,
+                        timeMin: parameters.time_min,
+                        timeMax: parameters.time_max,
+                        singleEvents: true,
+                        orderBy: 'startTime'
+                    }, requestOptions);
+                    return toolResult(searchEvents.data.items || [], {
+                        events: searchEvents.data.items || [],
+                        nextPageToken: searchEvents.data.nextPageToken
+                    });
+                    
+                case 'create_gcal_event':
+                    const newEvent = {
+                        summary: parameters.summary,
+                        description: parameters.description,
+                        location: parameters.location,
+                        colorId: parameters.color_id,
+                        start: {
+                            dateTime: parameters.start,
+                            timeZone: parameters.time_zone
+                        },
+                        end: {
+                            dateTime: parameters.end,
+                            timeZone: parameters.time_zone
+                        }
+                    };
+                    
+                    if (parameters.attendees) {
+                        newEvent.attendees = parameters.attendees;
+                    }
+                    
+                    const createdEvent = await calendar.events.insert({
+                        calendarId: parameters.calendar_id,
+                        requestBody: newEvent
+                    }, requestOptions);
+                    
+                    return toolResult(createdEvent.data);
+                    
+                case 'update_gcal_event':
+                    const updatePreview = await this.previewDestructiveCall(toolName, parameters, requestOptions);
+                    if (updatePreview) {
+                        return updatePreview;
+                    }
+                    
+                    const updateEvent = {};
+                    
+                    if (parameters.summary) updateEvent.summary = parameters.summary;
+                    if (parameters.description) updateEvent.description = parameters.description;
+                    if (parameters.location) updateEvent.location = parameters.location;
+                    if (parameters.color_id) updateEvent.colorId = parameters.color_id;
+                    if (parameters.attendees) updateEvent.attendees = parameters.attendees;
+                    
+                    if (parameters.start) {
+                        updateEvent.start = {
+                            dateTime: parameters.start,
+                            timeZone: parameters.time_zone
+                        };
+                    }
+                    
+                    if (parameters.end) {
+                        updateEvent.end = {
+                            dateTime: parameters.end,
+                            timeZone: parameters.time_zone
+                        };
+                    }
+                    
+                    const updatedEvent = await calendar.events.update({
+                        calendarId: parameters.calendar_id,
+                        eventId: parameters.event_id,
+                        requestBody: updateEvent
+                    }, requestOptions);
+                    
+                    return toolResult(updatedEvent.data);
+                    
+                case 'delete_gcal_event':
+                    const deletePreview = await this.previewDestructiveCall(toolName, parameters, requestOptions);
+                    if (deletePreview) {
+                        return deletePreview;
+                    }
+                    
+                    await calendar.events.delete({
+                        calendarId: parameters.calendar_id,
+                        eventId: parameters.event_id
+                    }, requestOptions);
+                    
+                    return toolResult({ success: true, message: 'Event deleted successfully' });
+                    
+                case 'find_free_time':
+                    // The free/busy API takes at most FREE_BUSY_BATCH_SIZE calendars per query
+                    const freeBusy = { calendars: {} };
+                    const batches = Math.ceil(parameters.calendar_ids.length / FREE_BUSY_BATCH_SIZE);
+                    
+                    for (let batch = 0; batch < batches; batch++) {
+                        onProgress(batch, batches, `Querying free/busy batch ${batch + 1} of ${batches}`);
+                        const calendarIds = parameters.calendar_ids.slice(batch * FREE_BUSY_BATCH_SIZE, (batch + 1) * FREE_BUSY_BATCH_SIZE);
+                        const response = await calendar.freebusy.query({
+                            requestBody: {
+                                timeMin: parameters.time_min,
+                                timeMax: parameters.time_max,
+                                timeZone: parameters.time_zone,
+                                items: calendarIds.map(id => ({ id }))
+                            }
+                        }, requestOptions);
+                        
+                        Object.assign(freeBusy, response.data, {
+                            calendars: { ...freeBusy.calendars, ...response.data.calendars }
+                        });
+                    }
+                    onProgress(batches, batches);
+                    
+                    return toolResult(freeBusy);
+                    
+                default:
+                    throw new Error(`Unknown Calendar tool: ${toolName}`);
+            }
+        } catch (error) {
+            if (error instanceof MCPError) {
+                throw error;
+            }
+            const mcpError = calendarError(error);
+            if (!signal?.aborted) {
+                log('error', { tool: toolName, ...mcpError.data, message: mcpError.message }, 'google-calendar');
+            }
+            throw mcpError;
+        }
+    }
+
+    // Cheapest authenticated call, to check the credentials still work. The refresh
+    // token itself doesn't expire on a schedule; the reported expiry is that of the
+    // access token it was just exchanged for.
+    async probe({ signal } = {}) {
+        try {
+            const response = await this.calendar.calendarList.list({ minAccessRole: 'owner' }, { signal, retry: false });
+            const primary = response.data.items?.find(calendar => calendar.primary);
+            const expiry = this.auth.credentials.expiry_date;
+            return {
+                account: primary?.id || null,
+                tokenExpiresAt: expiry ? new Date(expiry).toISOString() : null
+            };
+        } catch (error) {
+            throw calendarError(error);
+        }
+    }
+
+    // Without a confirmation token, a destructive call only fetches the event it
+    // would change and returns it with a token. Returns null once confirmed.
+    async previewDestructiveCall(toolName, parameters, requestOptions) {
+        if (!this.confirmations) {
+            return null;
+        }
+
+        // Tokens are bound to the caller's Google account credentials
+        const principal = crypto.createHash('sha256').update(this.refreshToken).digest('hex');
+
+        if (parameters.confirmation_token) {
+            this.confirmations.consume(parameters.confirmation_token, toolName, parameters, principal);
+            return null;
+        }
+
+        const event = await this.calendar.events.get({
+            calendarId: parameters.calendar_id,
+            eventId: parameters.event_id
+        }, requestOptions);
+
+        const action = toolName === 'delete_gcal_event' ? 'delete' : 'update';
+        const { token, expiresAt } = this.confirmations.issue(toolName, parameters, principal);
+        const { calendar_id, event_id, confirmation_token, ...changes } = parameters;
+        const when = event.data.start?.dateTime || event.data.start?.date;
+
+        const preview = {
+            confirmation_required: true,
+            confirmation_token: token,
+            expires_at: expiresAt,
+            action,
+            message: `Confirm before I ${action} "${event.data.summary || 'Untitled event'}"${when ? ` (${when})` : ''}: ` +
+                `call ${toolName} again with the same arguments plus confirmation_token.`,
+            event: event.data
+        };
+        if (action === 'update') {
+            preview.changes = changes;
+        }
+
+        return toolResult(preview);
+    }
+}
+
+module.exports = { CALENDAR_TOOLS, CalendarProvider };
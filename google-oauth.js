@@ -0,0 +1,100 @@
+// Browser "connect Google" flow for bridge users
+// Runs the authorization-code flow with PKCE against the bridge's own Google OAuth
+// client (GOOGLE_CLIENT_ID / GOOGLE_CLIENT_SECRET) and keeps each user's refresh
+// token in the token store under their bridge API key, so their MCP client only
+// has to send X-API-Key instead of Google credentials. Only keys the bridge issued
+// can start the flow, and the callback must come back to the browser that started it.
+// The OAuth client must be a "Web application" client with
+// <bridge URL>/oauth/google/callback as an authorized redirect URI.
+
+const crypto = require('crypto');
+const { PendingAuthorizations } = require('./oauth-state');
+
+const GOOGLE_SCOPES = [
+    'openid',
+    'email',
+    'https://www.googleapis.com/auth/calendar',
+    'https://www.googleapis.com/auth/calendar.events'
+];
+
+// API keys are never written to the token store, only a hash of them
+function storeKey(apiKey) {
+    return `google:${crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 32)}`;
+}
+
+class GoogleOAuth {
+    constructor({ clientId, clientSecret, tokenStore }) {
+        this.clientId = clientId;
+        this.clientSecret = clientSecret;
+        this.tokenStore = tokenStore;
+        this.pending = new PendingAuthorizations();
+    }
+
+    get configured() {
+        return !!(this.clientId && this.clientSecret);
+    }
+
+    createClient(redirectUri) {
+        const { OAuth2Client } = require('google-auth-library');
+        return new OAuth2Client(this.clientId, this.clientSecret, redirectUri);
+    }
+
+    // The Google consent URL for `apiKey`'s user, who Google sends back to `redirectUri`,
+    // and the secret their browser must present there
+    start(apiKey, redirectUri) {
+        const codeVerifier = crypto.randomBytes(48).toString('base64url');
+        const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+        const { state, browserSecret } = this.pending.create(apiKey, { codeVerifier, redirectUri });
+
+        const url = this.createClient(redirectUri).generateAuthUrl({
+            access_type: 'offline',
+            prompt: 'consent',          // Google only issues a refresh token on consent
+            scope: GOOGLE_SCOPES,
+            state,
+            code_challenge: codeChallenge,
+            code_challenge_method: 'S256'
+        });
+        return { url, browserSecret };
+    }
+
+    // Exchange the code Google sent back and store the refresh token. Returns the
+    // API key it was stored for, the Google account and the granted scopes.
+    async finish({ state, code, browserSecret }) {
+        const entry = this.pending.take(state, browserSecret);
+
+        const { tokens } = await this.createClient(entry.redirectUri).getToken({
+            code,
+            codeVerifier: entry.codeVerifier,
+            redirect_uri: entry.redirectUri
+        });
+        if (!tokens.refresh_token) {
+            throw new Error('Google did not return a refresh token; remove the bridge from https://myaccount.google.com/permissions and connect again');
+        }
+
+        // The ID token came straight from Google over TLS, so its claims can be read as they are
+        const email = tokens.id_token
+            ? JSON.parse(Buffer.from(tokens.id_token.split('.')[1], 'base64url').toString('utf8')).email
+            : null;
+        const scopes = (tokens.scope || '').split(' ').filter(Boolean);
+
+        await this.tokenStore.set(storeKey(entry.apiKey), {
+            refreshToken: tokens.refresh_token,
+            email,
+            scopes
+        });
+        console.log(`🔗 Google account ${email || '(unknown)'} connected for a bridge user`);
+
+        return { apiKey: entry.apiKey, email, scopes };
+    }
+
+    // The user's Google credentials, or null when they haven't connected Google
+    async credentials(apiKey) {
+        if (!apiKey || !this.configured) return null;
+        const stored = await this.tokenStore.get(storeKey(apiKey));
+        if (!stored) return null;
+
+        return { clientId: this.clientId, clientSecret: this.clientSecret, refreshToken: stored.refreshToken };
+    }
+}
+
+module.exports = { GoogleOAuth };
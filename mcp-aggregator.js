@@ -0,0 +1,131 @@
+// Aggregated MCP endpoint: one tool list merged from every registered backend
+// Tools are namespaced as `<namespace>.<tool>` and each call is routed to its backend
+// with the credentials that backend reads from the request headers
+
+const { JSONRPC_ERRORS, MCPError, buildInitializeResult } = require('./mcp-protocol');
+const { listTools, toolCallParams, formatToolResult } = require('./mcp-tools');
+
+const NAMESPACE_SEPARATOR = '.';
+
+class MCPAggregator {
+    // `getBackends()` returns the current backends, each shaped as
+    // { name, namespace, tools, credentialHeaders, getCredentials(req), callTool(name, args, credentials, options),
+    //   complete(params, credentials) }
+    // `getCredentials` returns (or resolves to) null when the caller didn't send what the backend needs.
+    constructor({ name, version, getBackends }) {
+        this.name = name;
+        this.version = version;
+        this.getBackends = getBackends;
+    }
+
+    // Split the registered backends into those this caller can use and those they can't
+    async resolveBackends(req) {
+        const available = [];
+        const unavailable = [];
+
+        for (const backend of this.getBackends()) {
+            if (!backend.callTool) {
+                unavailable.push({
+                    name: backend.name,
+                    namespace: backend.namespace,
+                    reason: 'Backend does not support per-user credentials'
+                });
+                continue;
+            }
+
+            const credentials = await backend.getCredentials(req);
+            if (credentials) {
+                available.push({ backend, credentials });
+            } else {
+                unavailable.push({
+                    name: backend.name,
+                    namespace: backend.namespace,
+                    reason: `Missing credentials in headers: ${backend.credentialHeaders.join(', ')}`,
+                    requiredHeaders: backend.credentialHeaders
+                });
+            }
+        }
+
+        return { available, unavailable };
+    }
+
+    async handleMessage({ method, params }, { req, protocolVersion, signal, sendProgress, sendLog }) {
+        const { available, unavailable } = await this.resolveBackends(req);
+
+        switch (method) {
+            case 'initialize':
+                return {
+                    ...buildInitializeResult(protocolVersion, {
+                        name: this.name,
+                        title: 'MCP Bridge',
+                        version: this.version,
+                        capabilities: { tools: {}, logging: {}, completions: {} }
+                    }),
+                    _meta: { unavailableBackends: unavailable }
+                };
+
+            case 'tools/list':
+                return {
+                    tools: available.flatMap(({ backend }) =>
+                        listTools(backend.tools, protocolVersion).tools.map(tool => ({
+                            ...tool,
+                            name: `${backend.namespace}${NAMESPACE_SEPARATOR}${tool.name}`
+                        }))
+                    ),
+                    _meta: { unavailableBackends: unavailable }
+                };
+
+            case 'tools/call':
+                return await this.callTool(toolCallParams(params), { available, unavailable, protocolVersion, signal, sendProgress, sendLog });
+
+            case 'completion/complete':
+                return await this.complete(params || {}, { available, unavailable });
+
+            default:
+                throw new MCPError(JSONRPC_ERRORS.METHOD_NOT_FOUND, `Method not found: ${method}`, { status: 400 });
+        }
+    }
+
+    async callTool({ name, args }, { available, unavailable, protocolVersion, signal, sendProgress, sendLog }) {
+        const { backend, credentials, toolName } = this.resolveTool(name, { available, unavailable });
+        const result = await backend.callTool(toolName, args, credentials, { signal, onProgress: sendProgress, log: sendLog });
+        return formatToolResult(result, protocolVersion);
+    }
+
+    // Only tool arguments can be completed here; prompts and resources live on the per-backend endpoints
+    async complete({ ref, argument }, { available, unavailable }) {
+        if (ref?.type !== 'ref/tool') {
+            throw new MCPError(JSONRPC_ERRORS.INVALID_PARAMS, `Unsupported completion reference type: ${ref?.type}`, { status: 400 });
+        }
+
+        const { backend, credentials, toolName } = this.resolveTool(ref.name, { available, unavailable });
+        if (!backend.complete) {
+            return { completion: { values: [], total: 0, hasMore: false } };
+        }
+        return await backend.complete({ ref: { ...ref, name: toolName }, argument }, credentials);
+    }
+
+    // Map a namespaced tool name onto the backend serving it and the caller's credentials for it
+    resolveTool(name, { available, unavailable }) {
+        const separator = (name || '').indexOf(NAMESPACE_SEPARATOR);
+        const namespace = separator > 0 ? name.slice(0, separator) : null;
+        const toolName = separator > 0 ? name.slice(separator + 1) : name;
+
+        const target = available.find(({ backend }) => backend.namespace === namespace);
+        if (!target) {
+            const missing = unavailable.find(backend => backend.namespace === namespace);
+            if (missing) {
+                throw new MCPError(
+                    JSONRPC_ERRORS.UNAUTHORIZED,
+                    `Backend ${missing.name} is unavailable: ${missing.reason}`,
+                    { status: 401, data: missing }
+                );
+            }
+            throw new MCPError(JSONRPC_ERRORS.INVALID_PARAMS, `Unknown tool: ${name}`, { status: 400 });
+        }
+
+        return { ...target, toolName };
+    }
+}
+
+module.exports = { MCPAggregator };
@@ -0,0 +1,358 @@
+// Client-side transports used by the bridge's MCPClient
+// Servers in claude_desktop_config.json are either spawned (`command`) and spoken
+// to over stdio, or reached over HTTP (`url`) with Streamable HTTP or legacy SSE
+
+const { spawn } = require('child_process');
+const { RemoteTransport, TransportError, SSEParser, transportOptionsFromEnv, isIdempotent, readBody } = require('./remote-mcp-transport');
+
+const KILL_GRACE_PERIOD = 5000; // SIGTERM first, SIGKILL if the process ignores it
+const STREAM_RECONNECT_DELAY = 2000;
+
+// Every transport takes `{ onMessage(message), onClose({ code, signal, reason }) }`
+// and offers start(), send(message), setProtocolVersion(version) and close().
+
+class StdioClientTransport {
+    constructor(config, { onMessage, onClose }) {
+        this.config = config;
+        this.onMessage = onMessage;
+        this.onClose = onClose;
+        this.process = null;
+    }
+
+    get pid() {
+        return this.process?.pid || null;
+    }
+
+    describe() {
+        return `command: ${this.config.command} ${(this.config.args || []).join(' ')}`;
+    }
+
+    start() {
+        return new Promise((resolve, reject) => {
+            this.process = spawn(this.config.command, this.config.args || [], {
+                stdio: ['pipe', 'pipe', 'pipe'],
+                env: { ...process.env, ...this.config.env }
+            });
+
+            let buffer = '';
+            this.process.stdout.on('data', (data) => {
+                buffer += data.toString();
+
+                // Process complete JSON messages
+                const lines = buffer.split('\n');
+                buffer = lines.pop() || ''; // Keep incomplete line in buffer
+
+                for (const line of lines) {
+                    if (line.trim()) {
+                        let message;
+                        try {
+                            message = JSON.parse(line);
+                        } catch (error) {
+                            console.error('Failed to parse MCP message:', error, line);
+                            continue;
+                        }
+                        this.onMessage(message);
+                    }
+                }
+            });
+
+            this.process.stderr.on('data', (data) => {
+                console.error(`MCP server stderr: ${data}`);
+            });
+
+            // Writes to a process that just died fail with EPIPE; the close handler deals with it
+            this.process.stdin.on('error', (error) => {
+                console.error('MCP server stdin error:', error.message);
+            });
+
+            this.process.on('spawn', resolve);
+            this.process.on('error', (error) => {
+                console.error('MCP server error:', error);
+                reject(error);
+            });
+
+            this.process.on('close', (code, signal) => {
+                console.log(`MCP server exited with code ${code}`);
+                this.onClose({ code, signal });
+            });
+        });
+    }
+
+    send(message) {
+        this.process.stdin.write(JSON.stringify(message) + '\n');
+    }
+
+    setProtocolVersion() {
+        // Only HTTP transports declare the revision on every request
+    }
+
+    close() {
+        const child = this.process;
+        if (!child || child.exitCode !== null || child.signalCode !== null) return;
+
+        child.kill('SIGTERM');
+        setTimeout(() => {
+            if (child.exitCode === null && child.signalCode === null) {
+                child.kill('SIGKILL');
+            }
+        }, KILL_GRACE_PERIOD).unref();
+    }
+}
+
+// Streamable HTTP (2025-03-26 and later): every message is a POST to one URL; replies
+// come back as JSON or an SSE stream, and a GET stream carries server-initiated messages
+class StreamableHTTPClientTransport {
+    constructor(config, { onMessage, onClose }) {
+        this.url = config.url;
+        this.headers = config.headers || {};
+        this.onMessage = onMessage;
+        this.onClose = onClose;
+        this.http = new RemoteTransport(transportOptionsFromEnv(config.url));
+        this.sessionId = null;
+        this.protocolVersion = null;
+        this.stream = null;
+        this.lastEventId = null;
+        this.closed = false;
+        // When the transport wasn't chosen explicitly, a 4xx on initialize means
+        // the server may only speak legacy SSE
+        this.detectLegacy = !config.type;
+    }
+
+    describe() {
+        return `url: ${this.url} (Streamable HTTP)`;
+    }
+
+    async start() {
+        // Nothing to open until initialize creates a session
+    }
+
+    setProtocolVersion(version) {
+        this.protocolVersion = version;
+    }
+
+    requestHeaders(extra = {}) {
+        const headers = { ...this.headers, ...extra };
+        if (this.sessionId) headers['Mcp-Session-Id'] = this.sessionId;
+        if (this.protocolVersion) headers['MCP-Protocol-Version'] = this.protocolVersion;
+        return headers;
+    }
+
+    async send(message) {
+        if (this.closed) {
+            throw new Error('MCP server connection is closed');
+        }
+
+        let res;
+        try {
+            res = await this.http.request('POST', this.url, {
+                headers: this.requestHeaders({
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json, text/event-stream'
+                }),
+                body: JSON.stringify(message),
+                retry: isIdempotent(message)
+            });
+        } catch (error) {
+            // Still unreachable (or still failing with 5xx) after every retry: report the
+            // server as gone so the supervisor reconnects, as a dropped SSE stream does
+            if (error instanceof TransportError && error.retryable && error.attempts > this.http.maxRetries && !this.closed) {
+                this.close();
+                this.onClose({ reason: error.message });
+            }
+            throw error;
+        }
+
+        if (message.method === 'initialize') {
+            if (this.detectLegacy && [400, 404, 405].includes(res.statusCode)) {
+                res.resume();
+                const error = new Error(`Server answered initialize with HTTP ${res.statusCode}`);
+                error.code = 'TRY_LEGACY_SSE';
+                throw error;
+            }
+            this.sessionId = res.headers['mcp-session-id'] || null;
+        }
+
+        // The server forgot our session; the supervisor reconnects from scratch
+        if (res.statusCode === 404 && this.sessionId) {
+            res.resume();
+            this.close();
+            this.onClose({ reason: 'Session expired' });
+            throw new TransportError('MCP session expired', { status: 404 });
+        }
+
+        const contentType = res.headers['content-type'] || '';
+        if (contentType.includes('text/event-stream')) {
+            const parser = new SSEParser(this.onMessage);
+            res.setEncoding('utf8');
+            await new Promise((resolve, reject) => {
+                res.on('data', chunk => parser.push(chunk));
+                res.on('end', resolve);
+                res.on('error', reject);
+            });
+        } else {
+            const data = await readBody(res);
+            if (data) {
+                let parsed;
+                try {
+                    parsed = JSON.parse(data);
+                } catch (error) {
+                    throw new TransportError(`Unexpected non-JSON response (HTTP ${res.statusCode})`, { status: res.statusCode });
+                }
+                (Array.isArray(parsed) ? parsed : [parsed]).forEach(reply => this.onMessage(reply));
+            } else if (res.statusCode >= 400) {
+                throw new TransportError(`HTTP ${res.statusCode}`, { status: res.statusCode });
+            }
+        }
+
+        // Once initialized, listen for anything the server wants to send on its own
+        if (message.method === 'notifications/initialized') {
+            this.openStream();
+        }
+    }
+
+    async openStream() {
+        if (!this.sessionId || this.stream || this.closed) return;
+
+        const headers = this.requestHeaders({ 'Accept': 'text/event-stream' });
+        if (this.lastEventId) headers['Last-Event-ID'] = this.lastEventId;
+
+        let res;
+        try {
+            res = await this.http.request('GET', this.url, { headers, timeout: 0 });
+        } catch (error) {
+            console.error(`MCP notification stream error for ${this.url}:`, error.message);
+            return;
+        }
+
+        if (res.statusCode !== 200 || this.closed) {
+            // 405: the server has no standalone stream
+            res.destroy();
+            return;
+        }
+
+        const parser = new SSEParser(this.onMessage);
+        this.stream = res;
+        res.setEncoding('utf8');
+        res.on('data', chunk => {
+            parser.push(chunk);
+            this.lastEventId = parser.lastEventId || this.lastEventId;
+        });
+        res.on('close', () => {
+            this.stream = null;
+            if (!this.closed) setTimeout(() => this.openStream(), STREAM_RECONNECT_DELAY).unref();
+        });
+    }
+
+    close() {
+        if (this.closed) return;
+        this.closed = true;
+        this.stream?.destroy();
+        this.stream = null;
+
+        // Let the server drop the session; best effort
+        if (this.sessionId) {
+            this.http.request('DELETE', this.url, { headers: this.requestHeaders(), timeout: 2000 })
+                .then(res => res.resume())
+                .catch(() => {});
+        }
+    }
+}
+
+// Legacy HTTP+SSE (2024-11-05): a GET stream delivers an `endpoint` event naming
+// the URL to POST messages to; every reply arrives on that stream
+class SSEClientTransport {
+    constructor(config, { onMessage, onClose }) {
+        this.url = config.url;
+        this.headers = config.headers || {};
+        this.onMessage = onMessage;
+        this.onClose = onClose;
+        this.http = new RemoteTransport(transportOptionsFromEnv(config.url));
+        this.endpoint = null;
+        this.stream = null;
+        this.closed = false;
+    }
+
+    describe() {
+        return `url: ${this.url} (SSE)`;
+    }
+
+    async start() {
+        const res = await this.http.request('GET', this.url, {
+            headers: { ...this.headers, 'Accept': 'text/event-stream' },
+            retry: true,
+            timeout: 0
+        });
+
+        if (res.statusCode !== 200) {
+            res.resume();
+            throw new TransportError(`SSE connection failed (HTTP ${res.statusCode})`, { status: res.statusCode });
+        }
+
+        this.stream = res;
+        await new Promise((resolve, reject) => {
+            const parser = new SSEParser(this.onMessage, (type, data) => {
+                if (type === 'endpoint') {
+                    this.endpoint = new URL(data, this.url).href;
+                    resolve();
+                }
+            });
+
+            res.setEncoding('utf8');
+            res.on('data', chunk => parser.push(chunk));
+            res.on('close', () => {
+                this.stream = null;
+                if (!this.endpoint) {
+                    reject(new Error('SSE stream closed before the server sent its endpoint'));
+                }
+                if (!this.closed) {
+                    this.closed = true;
+                    this.onClose({ reason: 'SSE stream closed' });
+                }
+            });
+        });
+    }
+
+    setProtocolVersion() {
+        // Legacy SSE predates the MCP-Protocol-Version header
+    }
+
+    async send(message) {
+        if (this.closed || !this.endpoint) {
+            throw new Error('MCP server connection is closed');
+        }
+
+        const res = await this.http.request('POST', this.endpoint, {
+            headers: { ...this.headers, 'Content-Type': 'application/json' },
+            body: JSON.stringify(message),
+            retry: isIdempotent(message)
+        });
+
+        // Replies come over the stream; the POST itself is just acknowledged
+        const data = await readBody(res);
+        if (res.statusCode >= 400) {
+            throw new TransportError(`HTTP ${res.statusCode}${data ? `: ${data.slice(0, 200)}` : ''}`, { status: res.statusCode });
+        }
+    }
+
+    close() {
+        this.closed = true;
+        this.stream?.destroy();
+        this.stream = null;
+    }
+}
+
+function createClientTransport(config, handlers) {
+    if (config.url) {
+        // Claude Desktop's "transport" key arrives here as `type` (see bridge-config.js)
+        return config.type === 'sse'
+            ? new SSEClientTransport(config, handlers)
+            : new StreamableHTTPClientTransport(config, handlers);
+    }
+
+    if (!config.command) {
+        throw new Error('MCP server config needs either a "command" or a "url"');
+    }
+    return new StdioClientTransport(config, handlers);
+}
+
+module.exports = { createClientTransport, StdioClientTransport, StreamableHTTPClientTransport, SSEClientTransport };
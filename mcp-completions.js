@@ -0,0 +1,102 @@
+// completion/complete support for tool, prompt and resource template arguments
+// Arguments are matched by name to a suggestion source: calendar IDs, recent
+// Strava activity IDs or IANA time zones
+
+const { JSONRPC_ERRORS, MCPError } = require('./mcp-protocol');
+
+// Most values a single completion result may carry
+const COMPLETION_LIMIT = 100;
+
+// Suggestion source for each argument (or URI template variable) name
+const ARGUMENT_SOURCES = {
+    calendar_id: 'calendar',
+    calendar_ids: 'calendar',
+    calendarId: 'calendar',
+    activity_id: 'activity',
+    time_zone: 'timeZone'
+};
+
+function timeZoneCandidates() {
+    const zones = Intl.supportedValuesOf('timeZone');
+    return (zones.includes('UTC') ? zones : ['UTC', ...zones]).map(zone => ({ value: zone }));
+}
+
+// Prefix matches on the value come first, then anything whose value or label
+// (e.g. a calendar or activity name) contains what was typed
+function matchCandidates(candidates, typed) {
+    const needle = typed.toLowerCase();
+    const prefix = [];
+    const contains = [];
+
+    for (const { value, label } of candidates) {
+        const lowerValue = value.toLowerCase();
+        if (lowerValue.startsWith(needle)) {
+            prefix.push(value);
+        } else if (lowerValue.includes(needle) || (label && label.toLowerCase().includes(needle))) {
+            contains.push(value);
+        }
+    }
+
+    return [...new Set([...prefix, ...contains])];
+}
+
+function completionResult(values) {
+    return {
+        completion: {
+            values: values.slice(0, COMPLETION_LIMIT),
+            total: values.length,
+            hasMore: values.length > COMPLETION_LIMIT
+        }
+    };
+}
+
+// Argument names the referenced tool, prompt or resource template accepts.
+// `ref/tool` is a bridge extension; the spec only defines prompt and resource refs.
+function refArguments(ref, { tools = [], prompts = [], resourceTemplates = [] }) {
+    switch (ref?.type) {
+        case 'ref/tool': {
+            const tool = tools.find(t => t.name === ref.name);
+            if (tool) return Object.keys(tool.inputSchema.properties || {});
+            break;
+        }
+        case 'ref/prompt': {
+            const prompt = prompts.find(p => p.name === ref.name);
+            if (prompt) return prompt.arguments.map(arg => arg.name);
+            break;
+        }
+        case 'ref/resource': {
+            const template = resourceTemplates.find(t => t.uriTemplate === ref.uri);
+            if (template) return [...template.uriTemplate.matchAll(/\{(\w+)\}/g)].map(match => match[1]);
+            break;
+        }
+        default:
+            throw new MCPError(JSONRPC_ERRORS.INVALID_PARAMS, `Unsupported completion reference type: ${ref?.type}`, { status: 400 });
+    }
+
+    throw new MCPError(
+        JSONRPC_ERRORS.INVALID_PARAMS,
+        `Unknown ${ref.type.slice(4)}: ${ref.name || ref.uri}`,
+        { status: 400 }
+    );
+}
+
+// Answer completion/complete. `sources` maps a source name ('calendar', 'activity')
+// to an async function returning [{ value, label }] for the caller; time zones are built in.
+async function complete(params, { tools, prompts, resourceTemplates, sources = {} }) {
+    const { ref, argument } = params || {};
+    if (!argument || typeof argument.name !== 'string') {
+        throw new MCPError(JSONRPC_ERRORS.INVALID_PARAMS, 'Missing argument name to complete', { status: 400 });
+    }
+
+    const names = refArguments(ref, { tools, prompts, resourceTemplates });
+    const source = names.includes(argument.name) ? ARGUMENT_SOURCES[argument.name] : null;
+    const load = source === 'timeZone' ? timeZoneCandidates : sources[source];
+    if (!load) {
+        return completionResult([]);
+    }
+
+    const candidates = await load();
+    return completionResult(matchCandidates(candidates, String(argument.value ?? '')));
+}
+
+module.exports = { complete };
@@ -0,0 +1,76 @@
+// Confirmation tokens for destructive tool calls
+// The first call gets a preview and a token; only a second call carrying that token,
+// from the same caller and with the same arguments, is allowed to run
+
+const crypto = require('crypto');
+const { JSONRPC_ERRORS, MCPError } = require('./mcp-protocol');
+
+const CONFIRMATION_TTL = 5 * 60 * 1000; // Tokens are good for 5 minutes
+
+// `value` with the keys of every object in it sorted, so key order doesn't matter
+function sortKeys(value) {
+    if (Array.isArray(value)) return value.map(sortKeys);
+    if (!value || typeof value !== 'object') return value;
+    return Object.keys(value).sort().reduce((acc, key) => ({ ...acc, [key]: sortKeys(value[key]) }), {});
+}
+
+// Stable fingerprint of a call, ignoring the token itself and key order at any depth
+function fingerprint(toolName, args, principal) {
+    const { confirmation_token, ...rest } = args;
+    return crypto.createHash('sha256')
+        .update(JSON.stringify([toolName, principal, sortKeys(rest)]))
+        .digest('hex');
+}
+
+class ConfirmationStore {
+    constructor({ ttl = CONFIRMATION_TTL } = {}) {
+        this.ttl = ttl;
+        this.pending = new Map(); // token -> { fingerprint, expiresAt }
+    }
+
+    // `principal` identifies the caller (e.g. a hash of their credentials) so
+    // one user's token can't confirm another user's call
+    issue(toolName, args, principal) {
+        this.expire();
+
+        const token = crypto.randomBytes(16).toString('hex');
+        const expiresAt = Date.now() + this.ttl;
+        this.pending.set(token, { fingerprint: fingerprint(toolName, args, principal), expiresAt });
+        return { token, expiresAt: new Date(expiresAt).toISOString() };
+    }
+
+    // Check and use up a token; throws if it is unknown, expired or was issued for a different call
+    consume(token, toolName, args, principal) {
+        this.expire();
+
+        const entry = this.pending.get(token);
+        if (!entry) {
+            throw new MCPError(
+                JSONRPC_ERRORS.INVALID_PARAMS,
+                `Invalid or expired confirmation token for ${toolName}; call it again without confirmation_token for a new preview`,
+                { status: 400 }
+            );
+        }
+
+        if (entry.fingerprint !== fingerprint(toolName, args, principal)) {
+            throw new MCPError(
+                JSONRPC_ERRORS.INVALID_PARAMS,
+                `Confirmation token does not match this ${toolName} call; the arguments must be identical to the previewed call`,
+                { status: 400 }
+            );
+        }
+
+        this.pending.delete(token);
+    }
+
+    expire() {
+        const now = Date.now();
+        for (const [token, entry] of this.pending) {
+            if (entry.expiresAt <= now) {
+                this.pending.delete(token);
+            }
+        }
+    }
+}
+
+module.exports = { ConfirmationStore };
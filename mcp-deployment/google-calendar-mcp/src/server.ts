@@ -1,8 +1,13 @@
 #!/usr/bin/env node
 import express from 'express';
 import cors from 'cors';
-import { OAuth2Client } from 'google-auth-library';
-import { google } from 'googleapis';
+import { createRequire } from 'module';
+
+// The tools, API calls and error mapping are the bridge's calendar-provider.js, vendored
+// into vendor/ (one level up from both src/ and dist/) by `npm run vendor:calendar` at
+// the repository root, so this package still deploys on its own
+const require = createRequire(import.meta.url);
+const { CalendarProvider } = require('../vendor/calendar-provider.js');
 
 // ---- ENV CHECKS ----
 const MCP_AUTH_TOKEN = process.env.MCP_AUTH_TOKEN ?? '';
@@ -15,18 +20,24 @@ if (!GOOGLE_CLIENT_ID) throw new Error('Missing GOOGLE_CLIENT_ID');
 if (!GOOGLE_CLIENT_SECRET) throw new Error('Missing GOOGLE_CLIENT_SECRET');
 if (!GOOGLE_REFRESH_TOKEN) throw new Error('Missing GOOGLE_REFRESH_TOKEN');
 
-// ---- GOOGLE AUTH SETUP ----
-const oauth2Client = new OAuth2Client(
-  GOOGLE_CLIENT_ID,
-  GOOGLE_CLIENT_SECRET,
-  'urn:ietf:wg:oauth:2.0:oob'
-);
-
-oauth2Client.setCredentials({
-  refresh_token: GOOGLE_REFRESH_TOKEN,
+// ---- GOOGLE CALENDAR PROVIDER ----
+// Requests here are authenticated with MCP_AUTH_TOKEN, so destructive tools run without a confirmation step
+const provider = new CalendarProvider({
+  clientId: GOOGLE_CLIENT_ID,
+  clientSecret: GOOGLE_CLIENT_SECRET,
+  refreshToken: GOOGLE_REFRESH_TOKEN,
 });
 
-const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
+// Run a provider tool and return its structured result
+const callTool = async (name: string, args: Record<string, unknown>): Promise<any> => {
+  const result = await provider.callTool(name, args);
+  return result.structuredContent;
+};
+
+// Provider errors carry the HTTP status to answer with (400 for invalid arguments, 401, 404, 429, ...)
+const sendError = (res: express.Response, action: string, error: any) => {
+  res.status(error.status || 500).json({ error: `Failed to ${action}: ${error.message}` });
+};
 
 // ---- EXPRESS SERVER ----
 const app = express();
@@ -52,21 +63,10 @@ app.get('/health', (req, res) => {
 // List all calendars
 app.get('/mcp/tools/list-calendars', authMiddleware, async (req, res) => {
   try {
-    const response = await calendar.calendarList.list();
-    res.json({
-      calendars: response.data.items?.map(cal => ({
-        id: cal.id,
-        summary: cal.summary,
-        description: cal.description,
-        timeZone: cal.timeZone,
-        primary: cal.primary,
-        accessRole: cal.accessRole,
-        backgroundColor: cal.backgroundColor,
-        foregroundColor: cal.foregroundColor,
-      })) || []
-    });
+    const { calendars } = await callTool('list_gcal_calendars', {});
+    res.json({ calendars });
   } catch (error: any) {
-    res.status(500).json({ error: `Failed to list calendars: ${error.message}` });
+    sendError(res, 'list calendars', error);
   }
 });
 
@@ -74,38 +74,15 @@ app.get('/mcp/tools/list-calendars', authMiddleware, async (req, res) => {
 app.post('/mcp/tools/list-events', authMiddleware, async (req, res) => {
   try {
     const { calendarId = 'primary', timeMin, timeMax, maxResults = 10 } = req.body;
-    
-    const response = await calendar.events.list({
-      calendarId,
-      timeMin,
-      timeMax,
-      maxResults,
-      singleEvents: true,
-      orderBy: 'startTime',
-    });
-
-    res.json({
-      events: response.data.items?.map(event => ({
-        id: event.id,
-        summary: event.summary,
-        description: event.description,
-        start: event.start,
-        end: event.end,
-        location: event.location,
-        attendees: event.attendees?.map(att => ({
-          email: att.email,
-          displayName: att.displayName,
-          responseStatus: att.responseStatus,
-        })),
-        status: event.status,
-        htmlLink: event.htmlLink,
-        created: event.created,
-        updated: event.updated,
-        colorId: event.colorId,
-      })) || []
+    const { events } = await callTool('list_gcal_events', {
+      calendar_id: calendarId,
+      time_min: timeMin,
+      time_max: timeMax,
+      max_results: maxResults,
     });
+    res.json({ events });
   } catch (error: any) {
-    res.status(500).json({ error: `Failed to list events: ${error.message}` });
+    sendError(res, 'list events', error);
   }
 });
 
@@ -118,41 +95,32 @@ app.post('/mcp/tools/create-event', authMiddleware, async (req, res) => {
       return res.status(400).json({ error: 'Missing required fields: summary, start, end, timeZone' });
     }
 
-    const event = {
+    const event = await callTool('create_gcal_event', {
+      calendar_id: calendarId,
       summary,
       description,
+      start,
+      end,
+      time_zone: timeZone,
       location,
-      start: {
-        dateTime: start,
-        timeZone,
-      },
-      end: {
-        dateTime: end,
-        timeZone,
-      },
       attendees: attendees?.map((att: any) => ({ email: att.email })),
-      colorId,
-    };
-
-    const response = await calendar.events.insert({
-      calendarId,
-      requestBody: event,
+      color_id: colorId,
     });
 
     res.json({
       success: true,
       event: {
-        id: response.data.id,
-        summary: response.data.summary,
-        start: response.data.start,
-        end: response.data.end,
-        htmlLink: response.data.htmlLink,
-        location: response.data.location,
-        attendees: response.data.attendees,
+        id: event.id,
+        summary: event.summary,
+        start: event.start,
+        end: event.end,
+        htmlLink: event.htmlLink,
+        location: event.location,
+        attendees: event.attendees,
       }
     });
   } catch (error: any) {
-    res.status(500).json({ error: `Failed to create event: ${error.message}` });
+    sendError(res, 'create event', error);
   }
 });
 
@@ -165,34 +133,17 @@ app.post('/mcp/tools/search-events', authMiddleware, async (req, res) => {
       return res.status(400).json({ error: 'Missing required field: query' });
     }
 
-    const response = await calendar.events.list({
-      calendarId,
-      q: query,
-      timeMin,
-      timeMax,
-      maxResults,
-      singleEvents: true,
-      orderBy: 'startTime',
-    });
-
-    res.json({
+    const { events } = await callTool('list_gcal_events', {
+      calendar_id: calendarId,
       query,
-      events: response.data.items?.map(event => ({
-        id: event.id,
-        summary: event.summary,
-        description: event.description,
-        start: event.start,
-        end: event.end,
-        location: event.location,
-        attendees: event.attendees?.map(att => ({
-          email: att.email,
-          displayName: att.displayName,
-        })),
-        htmlLink: event.htmlLink,
-      })) || []
+      time_min: timeMin,
+      time_max: timeMax,
+      max_results: maxResults,
     });
+
+    res.json({ query, events });
   } catch (error: any) {
-    res.status(500).json({ error: `Failed to search events: ${error.message}` });
+    sendError(res, 'search events', error);
   }
 });
 
@@ -205,30 +156,27 @@ app.delete('/mcp/tools/delete-event', authMiddleware, async (req, res) => {
       return res.status(400).json({ error: 'Missing required fields: calendarId, eventId' });
     }
 
-    await calendar.events.delete({
-      calendarId,
-      eventId,
-    });
+    await callTool('delete_gcal_event', { calendar_id: calendarId, event_id: eventId });
     
     res.json({ 
       success: true, 
       message: `Event ${eventId} deleted successfully from calendar ${calendarId}` 
     });
   } catch (error: any) {
-    res.status(500).json({ error: `Failed to delete event: ${error.message}` });
+    sendError(res, 'delete event', error);
   }
 });
 
-// List colors
+// List colors; not a tool, so it goes to the provider's API client directly
 app.get('/mcp/tools/list-colors', authMiddleware, async (req, res) => {
   try {
-    const response = await calendar.colors.get();
+    const response = await provider.calendar.colors.get();
     res.json({
       event: response.data.event || {},
       calendar: response.data.calendar || {},
     });
   } catch (error: any) {
-    res.status(500).json({ error: `Failed to get colors: ${error.message}` });
+    sendError(res, 'get colors', error);
   }
 });
 
@@ -0,0 +1,476 @@
+// MCP Streamable HTTP transport
+// Serves a JSON-RPC message handler over POST/GET/DELETE on a single endpoint path,
+// with Mcp-Session-Id sessions and text/event-stream responses for clients that accept them
+
+const crypto = require('crypto');
+const {
+    JSONRPC_ERRORS,
+    MCPError,
+    SUPPORTED_PROTOCOL_VERSIONS,
+    DEFAULT_HTTP_PROTOCOL_VERSION,
+    LOG_LEVELS,
+    DEFAULT_LOG_LEVEL,
+    negotiateProtocolVersion,
+    supportsFeature
+} = require('./mcp-protocol');
+
+const SESSION_HEADER = 'mcp-session-id';
+const PROTOCOL_VERSION_HEADER = 'mcp-protocol-version';
+const SESSION_IDLE_TIMEOUT = 30 * 60 * 1000; // Drop sessions idle for 30 minutes
+const STREAM_KEEPALIVE_INTERVAL = 25000;     // Keep proxies from closing idle streams
+const STREAM_HISTORY_LIMIT = 100;            // Events kept for Last-Event-ID replay
+
+function acceptsEventStream(req) {
+    return (req.headers.accept || '').includes('text/event-stream');
+}
+
+function openEventStream(res, headers = {}) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no',
+        ...headers
+    });
+    res.flushHeaders();
+}
+
+function writeEvent(res, message, eventId) {
+    if (eventId) {
+        res.write(`id: ${eventId}\n`);
+    }
+    res.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+}
+
+function errorResponse(id, code, message) {
+    return { jsonrpc: '2.0', id, error: { code, message } };
+}
+
+// Sort an incoming JSON-RPC message into request, notification, response or invalid
+function classifyMessage(message) {
+    if (!message || typeof message !== 'object' || Array.isArray(message) || message.jsonrpc !== '2.0') {
+        return 'invalid';
+    }
+
+    const validId = message.id === null || typeof message.id === 'string' || typeof message.id === 'number';
+
+    if (typeof message.method === 'string') {
+        if (message.id === undefined) return 'notification';
+        return validId ? 'request' : 'invalid';
+    }
+
+    if (validId && ('result' in message || 'error' in message)) {
+        return 'response';
+    }
+
+    return 'invalid';
+}
+
+class MCPSession {
+    constructor(serverName) {
+        this.id = crypto.randomUUID();
+        this.serverName = serverName;
+        this.createdAt = Date.now();
+        this.lastActivity = this.createdAt;
+        this.stream = null; // Standalone GET stream for server-initiated messages
+        this.nextEventId = 1;
+        this.history = [];
+        this.initialized = false;
+        this.protocolVersion = null;
+        this.clientInfo = null;
+        this.clientCapabilities = {};
+        this.inFlight = new Map(); // Request id -> AbortController, for notifications/cancelled
+        this.logLevel = DEFAULT_LOG_LEVEL;
+    }
+
+    // Record what the client sent in initialize and settle on a protocol revision
+    start({ protocolVersion, clientInfo, capabilities } = {}) {
+        this.protocolVersion = negotiateProtocolVersion(protocolVersion);
+        this.clientInfo = clientInfo || null;
+        this.clientCapabilities = capabilities || {};
+
+        if (protocolVersion !== this.protocolVersion) {
+            console.log(`${this.serverName} MCP client requested protocol ${protocolVersion}, offering ${this.protocolVersion}`);
+        }
+    }
+
+    touch() {
+        this.lastActivity = Date.now();
+    }
+
+    // Send a server-to-client message on the standalone stream. Messages are kept
+    // for a while so a client reconnecting with Last-Event-ID doesn't miss them.
+    send(message) {
+        const event = { id: `${this.nextEventId++}`, message };
+        this.history.push(event);
+        if (this.history.length > STREAM_HISTORY_LIMIT) {
+            this.history.shift();
+        }
+
+        if (this.stream) {
+            writeEvent(this.stream, message, event.id);
+        }
+    }
+
+    replay(res, lastEventId) {
+        const last = parseInt(lastEventId, 10);
+        if (isNaN(last)) return;
+
+        for (const event of this.history) {
+            if (parseInt(event.id, 10) > last) {
+                writeEvent(res, event.message, event.id);
+            }
+        }
+    }
+
+    cancel(requestId, reason) {
+        const controller = this.inFlight.get(requestId);
+        if (controller) {
+            console.log(`${this.serverName} MCP request ${requestId} cancelled${reason ? `: ${reason}` : ''}`);
+            controller.abort(reason);
+        }
+    }
+
+    close() {
+        for (const controller of this.inFlight.values()) {
+            controller.abort('Session closed');
+        }
+        this.inFlight.clear();
+
+        if (this.stream) {
+            this.stream.end();
+            this.stream = null;
+        }
+    }
+}
+
+class StreamableHTTPEndpoint {
+    constructor({ name, handleMessage, sessionTimeout = SESSION_IDLE_TIMEOUT }) {
+        this.name = name;
+        this.handleMessage = handleMessage;
+        this.sessionTimeout = sessionTimeout;
+        this.sessions = new Map();
+
+        this.sweepTimer = setInterval(() => this.expireIdleSessions(), 60000);
+        this.sweepTimer.unref();
+    }
+
+    mount(app, path) {
+        app.post(path, (req, res) => this.handlePost(req, res));
+        app.get(path, (req, res) => this.handleGet(req, res));
+        app.delete(path, (req, res) => this.handleDelete(req, res));
+
+        // Malformed bodies are rejected by express.json() before the route runs
+        app.use(path, (err, req, res, next) => {
+            if (err.type !== 'entity.parse.failed') return next(err);
+            res.status(400).json(errorResponse(null, JSONRPC_ERRORS.PARSE_ERROR, 'Parse error'));
+        });
+
+        return this;
+    }
+
+    async handlePost(req, res) {
+        const isBatch = Array.isArray(req.body);
+        const messages = isBatch ? req.body : [req.body];
+
+        if (messages.length === 0) {
+            return res.status(400).json(errorResponse(null, JSONRPC_ERRORS.INVALID_REQUEST, 'Invalid Request: empty batch'));
+        }
+
+        const initializing = messages.some(message => message?.method === 'initialize');
+        if (initializing && isBatch) {
+            return res.status(400).json(
+                errorResponse(null, JSONRPC_ERRORS.INVALID_REQUEST, 'Invalid Request: initialize must not be part of a batch')
+            );
+        }
+
+        let session = null;
+        let protocolVersion;
+        const headers = {};
+        const id = isBatch ? null : req.body?.id;
+
+        if (initializing) {
+            session = this.createSession();
+            session.start(req.body.params);
+            protocolVersion = session.protocolVersion;
+            headers['Mcp-Session-Id'] = session.id;
+        } else {
+            // Requests without a session id are served statelessly so the
+            // single-request stdio shims keep working unchanged.
+            if (req.headers[SESSION_HEADER]) {
+                session = this.getSession(req, res, id);
+                if (!session) return;
+            }
+
+            protocolVersion = this.resolveProtocolVersion(req, res, session, id);
+            if (!protocolVersion) return;
+        }
+
+        if (isBatch && !supportsFeature(protocolVersion, 'batching')) {
+            return res.status(400).json(
+                errorResponse(null, JSONRPC_ERRORS.INVALID_REQUEST, `Invalid Request: batches are not supported in protocol version ${protocolVersion}`)
+            );
+        }
+
+        const context = { req, session, protocolVersion };
+        const replies = [];
+
+        for (const message of messages) {
+            switch (classifyMessage(message)) {
+                case 'request':
+                    replies.push(message);
+                    break;
+                case 'notification':
+                    this.handleNotification(message, context);
+                    break;
+                case 'response':
+                    // Nothing is waiting on client responses yet
+                    break;
+                default:
+                    replies.push(null);
+            }
+        }
+
+        // Notifications and responses only: accepted, nothing to send back
+        if (replies.length === 0) {
+            return res.status(202).set(headers).end();
+        }
+
+        const reply = (message) => message
+            ? this.dispatch(message, context)
+            : { status: 400, body: errorResponse(null, JSONRPC_ERRORS.INVALID_REQUEST, 'Invalid Request') };
+
+        // A failed initialize doesn't get to keep the session it was given
+        const initializeFailed = (results) => {
+            if (initializing && results[0].body.error) {
+                this.sessions.delete(session.id);
+                return true;
+            }
+            return false;
+        };
+
+        // initialize is always answered as plain JSON: a stream would have to send the
+        // Mcp-Session-Id header before knowing whether the session survives
+        if (acceptsEventStream(req) && !initializing) {
+            openEventStream(res, headers);
+            context.notify = (notification) => writeEvent(res, notification);
+
+            await Promise.all(replies.map(async (message) => {
+                const result = await reply(message);
+                // Cancelled requests get no response, as the spec asks
+                if (!result.cancelled) {
+                    writeEvent(res, result.body);
+                }
+            }));
+            return res.end();
+        }
+
+        // Plain JSON replies can't carry notifications, so those go to the GET stream
+        context.notify = (notification) => session?.send(notification);
+
+        const results = await Promise.all(replies.map(reply));
+        if (!initializeFailed(results)) {
+            res.set(headers);
+        }
+
+        if (isBatch) {
+            return res.json(results.map(result => result.body));
+        }
+        res.status(results[0].status).json(results[0].body);
+    }
+
+    handleNotification(message, { session }) {
+        switch (message.method) {
+            case 'notifications/initialized':
+                if (session) {
+                    session.initialized = true;
+                }
+                break;
+            case 'notifications/cancelled':
+                // Only requests made within a session can be identified later
+                session?.cancel(message.params?.requestId, message.params?.reason);
+                break;
+            default:
+                // Unknown notifications are ignored, as the spec requires
+                console.log(`${this.name} MCP notification: ${message.method}`);
+        }
+    }
+
+    handleGet(req, res) {
+        if (!acceptsEventStream(req)) {
+            return res.status(406).json(errorResponse(null, JSONRPC_ERRORS.BAD_REQUEST, 'Client must accept text/event-stream'));
+        }
+
+        const session = this.getSession(req, res, null, { required: true });
+        if (!session) return;
+
+        if (session.stream) {
+            return res.status(409).json(errorResponse(null, JSONRPC_ERRORS.BAD_REQUEST, 'Only one stream is allowed per session'));
+        }
+
+        openEventStream(res, { 'Mcp-Session-Id': session.id });
+        session.stream = res;
+        session.replay(res, req.headers['last-event-id']);
+
+        const keepalive = setInterval(() => res.write(': keepalive\n\n'), STREAM_KEEPALIVE_INTERVAL);
+
+        req.on('close', () => {
+            clearInterval(keepalive);
+            if (session.stream === res) {
+                session.stream = null;
+            }
+        });
+    }
+
+    handleDelete(req, res) {
+        const session = this.getSession(req, res, null, { required: true });
+        if (!session) return;
+
+        session.close();
+        this.sessions.delete(session.id);
+        console.log(`${this.name} MCP session ${session.id} terminated by client`);
+        res.status(200).end();
+    }
+
+    async dispatch(message, context) {
+        const { id } = message;
+
+        if (message.method === 'ping') {
+            return { status: 200, body: { jsonrpc: '2.0', id, result: {} } };
+        }
+
+        if (message.method === 'logging/setLevel') {
+            return this.setLogLevel(message, context);
+        }
+
+        const controller = new AbortController();
+        context.session?.inFlight.set(id, controller);
+
+        try {
+            const result = await this.handleMessage(message, {
+                ...context,
+                signal: controller.signal,
+                sendProgress: this.progressReporter(message, context),
+                sendLog: this.logReporter(context)
+            });
+            return { status: 200, body: { jsonrpc: '2.0', id, result } };
+        } catch (error) {
+            if (controller.signal.aborted) {
+                return {
+                    status: 200,
+                    cancelled: true,
+                    body: errorResponse(id, JSONRPC_ERRORS.REQUEST_CANCELLED, 'Request cancelled')
+                };
+            }
+
+            if (error instanceof MCPError) {
+                return { status: error.status, body: { jsonrpc: '2.0', id, error: error.toJSON() } };
+            }
+
+            console.error(`${this.name} MCP error:`, error);
+            return { status: 500, body: errorResponse(id, JSONRPC_ERRORS.INTERNAL_ERROR, error.message) };
+        } finally {
+            if (context.session?.inFlight.get(id) === controller) {
+                context.session.inFlight.delete(id);
+            }
+        }
+    }
+
+    // sendProgress(progress, total, message) for handlers; a no-op unless the
+    // request carried a progressToken
+    progressReporter(message, { protocolVersion, notify }) {
+        const progressToken = message.params?._meta?.progressToken;
+        if (progressToken === undefined) {
+            return () => {};
+        }
+
+        return (progress, total, text) => {
+            const params = { progressToken, progress };
+            if (total !== undefined) params.total = total;
+            if (text && supportsFeature(protocolVersion, 'progressMessages')) params.message = text;
+            notify({ jsonrpc: '2.0', method: 'notifications/progress', params });
+        };
+    }
+
+    // Stateless requests can't keep a level, so they always log at the default
+    setLogLevel({ id, params }, { session }) {
+        const level = params?.level;
+        if (!LOG_LEVELS.includes(level)) {
+            return {
+                status: 400,
+                body: errorResponse(id, JSONRPC_ERRORS.INVALID_PARAMS, `Invalid log level: ${level}. Expected one of: ${LOG_LEVELS.join(', ')}`)
+            };
+        }
+
+        if (session) {
+            session.logLevel = level;
+            console.log(`${this.name} MCP session ${session.id} log level set to ${level}`);
+        }
+        return { status: 200, body: { jsonrpc: '2.0', id, result: {} } };
+    }
+
+    // sendLog(level, data, logger) for handlers: forwards diagnostics at or above
+    // the session's level to the client as notifications/message
+    logReporter({ session, notify }) {
+        return (level, data, logger = this.name) => {
+            const threshold = LOG_LEVELS.indexOf(session?.logLevel || DEFAULT_LOG_LEVEL);
+            if (LOG_LEVELS.indexOf(level) < threshold) return;
+
+            notify({ jsonrpc: '2.0', method: 'notifications/message', params: { level, logger, data } });
+        };
+    }
+
+    createSession() {
+        const session = new MCPSession(this.name);
+        this.sessions.set(session.id, session);
+        console.log(`${this.name} MCP session ${session.id} started`);
+        return session;
+    }
+
+    // Work out which protocol revision governs a request outside initialize
+    resolveProtocolVersion(req, res, session, id) {
+        const requested = req.headers[PROTOCOL_VERSION_HEADER];
+
+        if (requested && !SUPPORTED_PROTOCOL_VERSIONS.includes(requested)) {
+            res.status(400).json(errorResponse(id, JSONRPC_ERRORS.BAD_REQUEST, `Unsupported protocol version: ${requested}`));
+            return null;
+        }
+
+        return session?.protocolVersion || requested || DEFAULT_HTTP_PROTOCOL_VERSION;
+    }
+
+    // Resolve the session named in the request headers, replying with the
+    // transport-level error when it is missing or unknown
+    getSession(req, res, id, { required = false } = {}) {
+        const sessionId = req.headers[SESSION_HEADER];
+
+        if (!sessionId) {
+            if (required) {
+                res.status(400).json(errorResponse(id, JSONRPC_ERRORS.BAD_REQUEST, 'Missing Mcp-Session-Id header'));
+            }
+            return null;
+        }
+
+        const session = this.sessions.get(sessionId);
+        if (!session) {
+            res.status(404).json(errorResponse(id, JSONRPC_ERRORS.BAD_REQUEST, 'Session not found'));
+            return null;
+        }
+
+        session.touch();
+        return session;
+    }
+
+    expireIdleSessions() {
+        const cutoff = Date.now() - this.sessionTimeout;
+        for (const [id, session] of this.sessions) {
+            if (!session.stream && session.lastActivity < cutoff) {
+                session.close();
+                this.sessions.delete(id);
+                console.log(`${this.name} MCP session ${id} expired`);
+            }
+        }
+    }
+}
+
+module.exports = { StreamableHTTPEndpoint, MCPSession };
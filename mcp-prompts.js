@@ -0,0 +1,209 @@
+// MCP prompt catalog for common training and scheduling workflows
+// Each prompt loads the caller's Strava / Calendar data and embeds it in the messages,
+// so every client gets the same, versioned wording
+
+const { JSONRPC_ERRORS, MCPError } = require('./mcp-protocol');
+
+// Bump when prompt wording or arguments change
+const PROMPT_CATALOG_VERSION = '1.0.0';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Keep embedded activities to the fields a review actually needs
+function summarizeActivity(activity) {
+    return {
+        name: activity.name,
+        sport_type: activity.sport_type || activity.type,
+        start_date_local: activity.start_date_local,
+        distance_km: activity.distance ? +(activity.distance / 1000).toFixed(2) : 0,
+        moving_time_min: activity.moving_time ? Math.round(activity.moving_time / 60) : 0,
+        elevation_gain_m: activity.total_elevation_gain,
+        average_heartrate: activity.average_heartrate,
+        average_watts: activity.average_watts,
+        suffer_score: activity.suffer_score
+    };
+}
+
+function summarizeEvent(event) {
+    return {
+        summary: event.summary || 'Untitled event',
+        start: event.start?.dateTime || event.start?.date,
+        end: event.end?.dateTime || event.end?.date,
+        location: event.location,
+        attendees: event.attendees ? event.attendees.length : 0
+    };
+}
+
+function dataBlock(label, data) {
+    return {
+        role: 'user',
+        content: {
+            type: 'text',
+            text: `${label}:\n\`\`\`json\n${JSON.stringify(data, null, 2)}\n\`\`\``
+        }
+    };
+}
+
+function textMessage(text) {
+    return { role: 'user', content: { type: 'text', text } };
+}
+
+async function recentActivities(strava, days) {
+    const { activities } = await strava('get_athlete_activities', {
+        after: Math.floor((Date.now() - days * DAY) / 1000),
+        per_page: 100
+    });
+    return activities.map(summarizeActivity);
+}
+
+const PROMPTS = [
+    {
+        name: 'weekly_training_review',
+        service: 'strava',
+        description: 'Review recent Strava training: volume, trends, warning signs and next week\'s focus',
+        arguments: [
+            { name: 'weeks', description: 'Number of weeks to review (default: 1)', required: false },
+            { name: 'focus', description: 'Optional focus for the review, e.g. "endurance" or "recovery"', required: false }
+        ],
+        async load(args, { strava }) {
+            const weeks = Math.max(parseInt(args.weeks, 10) || 1, 1);
+            return {
+                weeks,
+                activities: await recentActivities(strava, weeks * 7),
+                stats: await strava('get_athlete_stats', {})
+            };
+        },
+        render(args, { weeks, activities, stats }) {
+            let instructions = `Here is my Strava training from the last ${weeks} week${weeks > 1 ? 's' : ''}. ` +
+                'Review it: summarise volume (distance, moving time, elevation) by sport, compare it with my recent totals, ' +
+                'flag anything that looks like overreaching or long gaps, and suggest what I should focus on next week.';
+            if (args.focus) {
+                instructions += ` Pay particular attention to ${args.focus}.`;
+            }
+
+            return [
+                textMessage(instructions),
+                dataBlock('Activities', activities),
+                dataBlock('Athlete stats', stats)
+            ];
+        }
+    },
+    {
+        name: 'plan_week_around_meetings',
+        service: 'calendar',
+        description: 'Fit the week\'s workouts into the gaps between meetings',
+        arguments: [
+            { name: 'goal', description: 'Training goal for the week, e.g. "build base for a half marathon"', required: true },
+            { name: 'sessions', description: 'Number of workouts to schedule (default: 4)', required: false },
+            { name: 'calendar_id', description: 'Calendar to plan around (default: primary)', required: false },
+            { name: 'time_zone', description: 'IANA time zone for the schedule, e.g. "America/New_York"', required: false }
+        ],
+        async load(args, { calendar, strava }) {
+            const { events } = await calendar('list_gcal_events', {
+                calendar_id: args.calendar_id || 'primary',
+                time_min: new Date().toISOString(),
+                time_max: new Date(Date.now() + 7 * DAY).toISOString(),
+                time_zone: args.time_zone,
+                max_results: 100
+            });
+
+            return {
+                events: events.map(summarizeEvent),
+                activities: strava ? await recentActivities(strava, 14) : null
+            };
+        },
+        render(args, { events, activities }) {
+            const sessions = parseInt(args.sessions, 10) || 4;
+            let instructions = `Plan my training for the next 7 days around my meetings. My goal: ${args.goal}. ` +
+                `Fit ${sessions} workouts into the free time in my calendar, avoid back-to-back hard days, ` +
+                'leave a buffer before and after meetings, and give me a day-by-day schedule with start times and durations';
+            instructions += args.time_zone ? ` in ${args.time_zone}.` : '.';
+            if (activities) {
+                instructions += ' Take my last two weeks of training into account when setting the intensity.';
+            }
+
+            const messages = [textMessage(instructions), dataBlock('Meetings this week', events)];
+            if (activities) {
+                messages.push(dataBlock('Training in the last two weeks', activities));
+            }
+            return messages;
+        }
+    },
+    {
+        name: 'prepare_for_tomorrow',
+        service: 'calendar',
+        description: 'Brief me on tomorrow\'s schedule and find a window for a workout',
+        arguments: [
+            { name: 'calendar_id', description: 'Calendar to review (default: primary)', required: false },
+            { name: 'time_zone', description: 'IANA time zone for event times, e.g. "Europe/London"', required: false }
+        ],
+        async load(args, { calendar, strava, timeframe }) {
+            const { events } = await calendar('list_gcal_events', {
+                calendar_id: args.calendar_id || 'primary',
+                time_min: timeframe.start('tomorrow'),
+                time_max: timeframe.end('tomorrow'),
+                time_zone: args.time_zone,
+                max_results: 50
+            });
+
+            return {
+                events: events.map(summarizeEvent),
+                activities: strava ? await recentActivities(strava, 3) : null
+            };
+        },
+        render(args, { events, activities }) {
+            let instructions = 'Help me prepare for tomorrow. Walk through my schedule in order, tell me what to prepare ' +
+                'for each meeting, point out conflicts or tight transitions, and suggest the best window for a workout';
+            instructions += activities ? ' given my training over the last few days.' : '.';
+
+            const messages = [textMessage(instructions), dataBlock('Tomorrow\'s events', events)];
+            if (activities) {
+                messages.push(dataBlock('Training in the last three days', activities));
+            }
+            return messages;
+        }
+    }
+];
+
+function listPrompts(service) {
+    return {
+        prompts: PROMPTS
+            .filter(prompt => prompt.service === service)
+            .map(({ name, description, arguments: args }) => ({ name, description, arguments: args })),
+        _meta: { catalogVersion: PROMPT_CATALOG_VERSION }
+    };
+}
+
+// Render a prompt with the caller's data. `sources` maps a service name to a
+// function (toolName, args) => the tool's structured result, for each service
+// the caller sent credentials for.
+async function getPrompt(service, name, args, sources) {
+    const prompt = PROMPTS.find(p => p.name === name && p.service === service);
+    if (!prompt) {
+        throw new MCPError(JSONRPC_ERRORS.INVALID_PARAMS, `Unknown prompt: ${name}`, { status: 400 });
+    }
+
+    // Every load() and render() reads its arguments from this object, so null gets no further
+    args = args ?? {};
+    if (typeof args !== 'object' || Array.isArray(args)) {
+        throw new MCPError(JSONRPC_ERRORS.INVALID_PARAMS, `Arguments for prompt ${name} must be an object`, { status: 400 });
+    }
+
+    const missing = prompt.arguments.filter(arg => arg.required && !args[arg.name]).map(arg => arg.name);
+    if (missing.length > 0) {
+        throw new MCPError(
+            JSONRPC_ERRORS.INVALID_PARAMS,
+            `Missing required arguments for prompt ${name}: ${missing.join(', ')}`,
+            { status: 400 }
+        );
+    }
+
+    const data = await prompt.load(args, sources);
+    return {
+        description: prompt.description,
+        messages: prompt.render(args, data),
+        _meta: { catalogVersion: PROMPT_CATALOG_VERSION }
+    };
+}
+
+module.exports = { PROMPT_CATALOG_VERSION, listPrompts, getPrompt };
@@ -0,0 +1,115 @@
+// Shared MCP / JSON-RPC protocol definitions
+// Used by the bridge's MCP endpoints and the HTTP transport that serves them
+
+const JSONRPC_ERRORS = {
+    PARSE_ERROR: -32700,
+    INVALID_REQUEST: -32600,
+    METHOD_NOT_FOUND: -32601,
+    INVALID_PARAMS: -32602,
+    INTERNAL_ERROR: -32603,
+    REQUEST_CANCELLED: -32800, // Borrowed from LSP; MCP doesn't assign one
+    // Implementation-defined server errors (-32000 to -32099)
+    BAD_REQUEST: -32000,
+    UNAUTHORIZED: -32001,
+    RESOURCE_NOT_FOUND: -32002,
+    REQUEST_TIMEOUT: -32003,
+    SERVER_UNAVAILABLE: -32004
+};
+
+// Error thrown by MCP message handlers. The transport turns it into a JSON-RPC
+// error object; `status` is the HTTP status used when the reply is plain JSON.
+class MCPError extends Error {
+    constructor(code, message, { status = 500, data } = {}) {
+        super(message);
+        this.name = 'MCPError';
+        this.code = code;
+        this.status = status;
+        this.data = data;
+    }
+
+    toJSON() {
+        const error = { code: this.code, message: this.message };
+        if (this.data !== undefined) error.data = this.data;
+        return error;
+    }
+}
+
+// Protocol revisions the bridge speaks, newest first
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+const LATEST_PROTOCOL_VERSION = SUPPORTED_PROTOCOL_VERSIONS[0];
+
+// Revision assumed for HTTP requests that carry no session and no
+// MCP-Protocol-Version header, as the 2025-06-18 transport spec prescribes
+const DEFAULT_HTTP_PROTOCOL_VERSION = '2025-03-26';
+
+// Features that were added or removed between revisions
+const PROTOCOL_FEATURES = {
+    '2024-11-05': {
+        batching: true,
+        toolAnnotations: false,
+        completions: false,
+        progressMessages: false,
+        structuredContent: false,
+        implementationTitle: false
+    },
+    '2025-03-26': {
+        batching: true,
+        toolAnnotations: true,
+        completions: true,
+        progressMessages: true,
+        structuredContent: false,
+        implementationTitle: false
+    },
+    '2025-06-18': {
+        batching: false,
+        toolAnnotations: true,
+        completions: true,
+        progressMessages: true,
+        structuredContent: true,
+        implementationTitle: true
+    }
+};
+
+// Syslog severities used by logging/setLevel and notifications/message, least severe first
+const LOG_LEVELS = ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'];
+
+// Level for sessions that never call logging/setLevel
+const DEFAULT_LOG_LEVEL = 'warning';
+
+// Answer the client's requested revision if we speak it, otherwise offer our
+// latest and let the client decide whether to continue
+function negotiateProtocolVersion(requested) {
+    return SUPPORTED_PROTOCOL_VERSIONS.includes(requested) ? requested : LATEST_PROTOCOL_VERSION;
+}
+
+function supportsFeature(protocolVersion, feature) {
+    return !!PROTOCOL_FEATURES[protocolVersion]?.[feature];
+}
+
+// Build an initialize result, dropping fields the agreed revision doesn't define
+function buildInitializeResult(protocolVersion, { name, title, version, capabilities }) {
+    const serverInfo = { name, version };
+    if (title && supportsFeature(protocolVersion, 'implementationTitle')) {
+        serverInfo.title = title;
+    }
+
+    if (capabilities.completions && !supportsFeature(protocolVersion, 'completions')) {
+        const { completions, ...rest } = capabilities;
+        capabilities = rest;
+    }
+
+    return { protocolVersion, capabilities, serverInfo };
+}
+
+module.exports = {
+    JSONRPC_ERRORS,
+    MCPError,
+    SUPPORTED_PROTOCOL_VERSIONS,
+    LATEST_PROTOCOL_VERSION,
+    DEFAULT_HTTP_PROTOCOL_VERSION,
+    LOG_LEVELS,
+    DEFAULT_LOG_LEVEL,
+    negotiateProtocolVersion,
+    supportsFeature,
+    buildInitializeResult
+};
@@ -0,0 +1,110 @@
+// Per-server concurrency limit for the bridge's tool calls
+// At most `maxConcurrent` calls run at once; the rest wait in a bounded FIFO queue.
+// When the queue is full new calls are turned away at once so callers can back off
+// instead of piling onto a server that is already struggling.
+
+const DEFAULT_MAX_CONCURRENT = 4;
+const DEFAULT_MAX_QUEUED = 32;
+const DEFAULT_QUEUE_TIMEOUT = 30000;   // How long a call may wait for a free slot
+const WAIT_SAMPLES = 100;              // Recent wait times kept for the stats
+
+class RequestQueue {
+    constructor(name, { maxConcurrent = DEFAULT_MAX_CONCURRENT, maxQueued = DEFAULT_MAX_QUEUED, queueTimeout = DEFAULT_QUEUE_TIMEOUT } = {}) {
+        this.name = name;
+        this.maxConcurrent = maxConcurrent;
+        this.maxQueued = maxQueued;
+        this.queueTimeout = queueTimeout;
+        this.active = 0;
+        this.waiting = [];          // { grant, fail, queuedAt }
+        this.waits = [];            // Milliseconds recent calls spent queued
+        this.completed = 0;
+        this.rejected = 0;          // Turned away because the queue was full
+        this.expired = 0;           // Gave up waiting for a slot
+    }
+
+    // Run `task()` once a slot is free. Rejects with code QUEUE_FULL when the queue
+    // is full, or QUEUE_TIMEOUT when no slot frees up within queueTimeout.
+    async run(task, { signal } = {}) {
+        await this.acquire(signal);
+        try {
+            return await task();
+        } finally {
+            this.release();
+        }
+    }
+
+    acquire(signal) {
+        if (signal?.aborted) return Promise.reject(new Error('Request cancelled'));
+
+        if (this.active < this.maxConcurrent && this.waiting.length === 0) {
+            this.active++;
+            this.recordWait(0);
+            return Promise.resolve();
+        }
+
+        if (this.waiting.length >= this.maxQueued) {
+            this.rejected++;
+            const error = new Error(`MCP server '${this.name}' is busy (${this.active} running, ${this.waiting.length} queued); try again shortly`);
+            error.code = 'QUEUE_FULL';
+            error.retryAfter = Math.ceil(this.averageWait() / 1000) || 1;
+            return Promise.reject(error);
+        }
+
+        return new Promise((resolve, reject) => {
+            const entry = { queuedAt: Date.now() };
+            const onAbort = () => settle(reject, new Error('Request cancelled'));
+            const timeout = setTimeout(() => {
+                this.expired++;
+                const error = new Error(`MCP server '${this.name}' had no free slot within ${this.queueTimeout / 1000}s`);
+                error.code = 'QUEUE_TIMEOUT';
+                settle(reject, error);
+            }, this.queueTimeout);
+            const settle = (callback, value) => {
+                clearTimeout(timeout);
+                signal?.removeEventListener('abort', onAbort);
+                this.waiting = this.waiting.filter(w => w !== entry);
+                callback(value);
+            };
+
+            entry.grant = () => {
+                this.active++;
+                this.recordWait(Date.now() - entry.queuedAt);
+                settle(resolve);
+            };
+            signal?.addEventListener('abort', onAbort);
+            this.waiting.push(entry);
+        });
+    }
+
+    release() {
+        this.active--;
+        this.completed++;
+        this.waiting[0]?.grant();
+    }
+
+    recordWait(ms) {
+        this.waits.push(ms);
+        if (this.waits.length > WAIT_SAMPLES) this.waits.shift();
+    }
+
+    averageWait() {
+        return this.waits.length ? this.waits.reduce((sum, ms) => sum + ms, 0) / this.waits.length : 0;
+    }
+
+    stats() {
+        return {
+            active: this.active,
+            queued: this.waiting.length,
+            maxConcurrent: this.maxConcurrent,
+            maxQueued: this.maxQueued,
+            oldestWaitMs: this.waiting.length ? Date.now() - this.waiting[0].queuedAt : 0,
+            averageWaitMs: Math.round(this.averageWait()),
+            maxWaitMs: this.waits.length ? Math.max(...this.waits) : 0,
+            completed: this.completed,
+            rejected: this.rejected,
+            expired: this.expired
+        };
+    }
+}
+
+module.exports = { RequestQueue };
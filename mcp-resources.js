@@ -0,0 +1,137 @@
+// MCP resource definitions for the Strava and Google Calendar endpoints
+// Every resource URI maps onto one of the existing tools, so reads go through
+// the same fetch logic as tools/call
+
+const JSON_MIME_TYPE = 'application/json';
+
+const STRAVA_RESOURCES = [
+    {
+        uri: 'strava://athlete/profile',
+        name: 'Athlete profile',
+        description: 'The authenticated athlete\'s Strava profile',
+        mimeType: JSON_MIME_TYPE
+    },
+    {
+        uri: 'strava://athlete/stats',
+        name: 'Athlete stats',
+        description: 'Recent, year-to-date and all-time totals for the authenticated athlete',
+        mimeType: JSON_MIME_TYPE
+    }
+];
+
+const STRAVA_RESOURCE_TEMPLATES = [
+    {
+        uriTemplate: 'strava://activities/{activity_id}',
+        name: 'Strava activity',
+        description: 'Detailed information about a single Strava activity',
+        mimeType: JSON_MIME_TYPE
+    }
+];
+
+const CALENDAR_RESOURCES = [
+    {
+        uri: 'gcal://calendars',
+        name: 'Calendars',
+        description: 'All calendars available in Google Calendar',
+        mimeType: JSON_MIME_TYPE
+    }
+];
+
+const CALENDAR_RESOURCE_TEMPLATES = [
+    {
+        uriTemplate: 'gcal://{calendarId}/events',
+        name: 'Upcoming events',
+        description: 'Upcoming events in a Google Calendar (use \'primary\' for the main calendar)',
+        mimeType: JSON_MIME_TYPE
+    },
+    {
+        uriTemplate: 'gcal://{calendarId}/events/{eventId}',
+        name: 'Calendar event',
+        description: 'A single Google Calendar event',
+        mimeType: JSON_MIME_TYPE
+    }
+];
+
+// URI patterns and the tool call each one resolves to
+const STRAVA_RESOURCE_ROUTES = [
+    { pattern: /^strava:\/\/athlete\/profile$/, tool: 'get_athlete_profile', args: () => ({}) },
+    { pattern: /^strava:\/\/athlete\/stats$/, tool: 'get_athlete_stats', args: () => ({}) },
+    { pattern: /^strava:\/\/activities\/(\d+)$/, tool: 'get_activity_details', args: ([id]) => ({ activity_id: id }) }
+];
+
+const CALENDAR_RESOURCE_ROUTES = [
+    { pattern: /^gcal:\/\/calendars$/, tool: 'list_gcal_calendars', args: () => ({}) },
+    {
+        pattern: /^gcal:\/\/([^/]+)\/events$/,
+        tool: 'list_gcal_events',
+        args: ([calendarId]) => ({ calendar_id: calendarId, time_min: new Date().toISOString(), max_results: 25 })
+    },
+    {
+        pattern: /^gcal:\/\/([^/]+)\/events\/([^/]+)$/,
+        tool: 'fetch_gcal_event',
+        args: ([calendarId, eventId]) => ({ calendar_id: calendarId, event_id: eventId })
+    }
+];
+
+// Find the tool call behind a resource URI, or null if nothing matches
+function resolveResource(routes, uri) {
+    for (const route of routes) {
+        const match = route.pattern.exec(uri || '');
+        if (match) {
+            try {
+                return { tool: route.tool, args: route.args(match.slice(1).map(decodeURIComponent)) };
+            } catch (error) {
+                return null; // Malformed percent-encoding
+            }
+        }
+    }
+    return null;
+}
+
+function resolveStravaResource(uri) {
+    return resolveResource(STRAVA_RESOURCE_ROUTES, uri);
+}
+
+function resolveCalendarResource(uri) {
+    return resolveResource(CALENDAR_RESOURCE_ROUTES, uri);
+}
+
+function stravaActivityResource(activity) {
+    const date = activity.start_date_local ? activity.start_date_local.slice(0, 10) : 'unknown date';
+    return {
+        uri: `strava://activities/${activity.id}`,
+        name: `${activity.name || 'Activity'} (${activity.sport_type || activity.type || 'Workout'}, ${date})`,
+        mimeType: JSON_MIME_TYPE
+    };
+}
+
+function calendarEventResource(calendarId, event) {
+    const start = event.start?.dateTime || event.start?.date || 'no start time';
+    return {
+        uri: `gcal://${encodeURIComponent(calendarId)}/events/${encodeURIComponent(event.id)}`,
+        name: `${event.summary || 'Untitled event'} (${start})`,
+        mimeType: JSON_MIME_TYPE
+    };
+}
+
+function resourceContents(uri, data) {
+    return {
+        contents: [{
+            uri,
+            mimeType: JSON_MIME_TYPE,
+            text: JSON.stringify(data, null, 2)
+        }]
+    };
+}
+
+module.exports = {
+    STRAVA_RESOURCES,
+    STRAVA_RESOURCE_TEMPLATES,
+    CALENDAR_RESOURCES,
+    CALENDAR_RESOURCE_TEMPLATES,
+    resolveStravaResource,
+    resolveCalendarResource,
+    stravaActivityResource,
+    calendarEventResource,
+    resourceContents
+};
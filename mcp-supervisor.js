@@ -0,0 +1,296 @@
+// Supervisor for the bridge's MCP servers
+// Keeps one MCPClient alive per configured server: restarts it with exponential
+// backoff when its process dies (or its remote connection is lost), and stops
+// trying once it is crash-looping
+
+const EventEmitter = require('events');
+const { RequestQueue } = require('./mcp-request-queue');
+
+const RESTART_BASE_DELAY = 1000;
+const RESTART_MAX_DELAY = 30000;
+const CRASH_LOOP_WINDOW = 5 * 60 * 1000;   // Crashes older than this are forgotten
+const MAX_RESTARTS = 5;                    // Restarts allowed within the window before the server is failed
+const READY_TIMEOUT = 30000;               // How long a request waits for a (re)starting server
+const IDLE_TIMEOUT = 5 * 60 * 1000;        // Lazy servers are shut down after this long without calls
+
+// Server states:
+//   starting  - process spawned, MCP handshake in progress
+//   ready     - connected and serving requests
+//   degraded  - process died; a restart is scheduled
+//   failed    - crash loop detected; no more restarts until restart() is called
+//   idle      - lazy server with no process; the next tool call starts it
+//   stopped   - shut down on purpose
+//
+// Emits 'state' (state, previous), 'failed' (lastExit), and passes on the current
+// client's 'notification' and 'toolsChanged' events.
+class MCPSupervisor extends EventEmitter {
+    // `createClient()` returns a new, unconnected MCPClient for this server;
+    // `retries` is the server's restart policy and `concurrency` its call limits
+    // from the bridge config. A `lazy` server is only spawned on its first tool
+    // call and shut down again after `idleTimeout` ms without one.
+    constructor(name, createClient, { retries = {}, concurrency = {}, lazy = false, idleTimeout = IDLE_TIMEOUT } = {}) {
+        super();
+        const { maxRestarts = MAX_RESTARTS, baseDelay = RESTART_BASE_DELAY, maxDelay = RESTART_MAX_DELAY } = retries;
+        this.name = name;
+        this.createClient = createClient;
+        this.maxRestarts = maxRestarts;
+        this.baseDelay = baseDelay;
+        this.maxDelay = maxDelay;
+        // Shared by every process this supervisor starts, so queued calls survive a restart
+        this.queue = new RequestQueue(name, concurrency);
+        this.lazy = lazy;
+        this.idleTimeout = idleTimeout;
+        this.idleTimer = null;
+        this.lastUsed = null;
+        this.idleTools = [];        // Tools of the last process, listed while a lazy server sleeps
+        this.client = null;
+        this.state = 'stopped';
+        this.crashes = [];          // Timestamps of recent unexpected exits
+        this.restarts = 0;
+        this.lastExit = null;
+        this.lastError = null;
+        this.readySince = null;
+        this.restartTimer = null;
+        this.nextRestartAt = null;
+        this.waiters = [];          // Requests waiting for the server to become ready
+    }
+
+    get connected() {
+        return this.state === 'ready' && !!this.client?.connected;
+    }
+
+    get protocolVersion() {
+        return this.client?.protocolVersion || null;
+    }
+
+    getTools() {
+        if (this.state === 'idle') return this.idleTools;
+        return this.client?.getTools() || [];
+    }
+
+    setState(state) {
+        if (this.state === state) return;
+        const previous = this.state;
+        this.state = state;
+        this.emit('state', state, previous);
+    }
+
+    // Start the server; resolves after the first connection attempt, whether it
+    // succeeded or not. Later attempts carry on in the background.
+    // Lazy servers only go idle here and are spawned by their first tool call.
+    async start() {
+        this.crashes = [];
+        if (this.lazy) {
+            this.setState('idle');
+            return true;
+        }
+        await this.spawn();
+        return this.state === 'ready';
+    }
+
+    async spawn() {
+        clearTimeout(this.restartTimer);
+        this.restartTimer = null;
+        this.nextRestartAt = null;
+        this.setState('starting');
+
+        const client = this.createClient();
+        this.client = client;
+        client.once('exit', (exit) => this.handleExit(client, exit));
+
+        // Subscribers stay attached to the supervisor across restarts
+        client.on('notification', (message) => this.emit('notification', message));
+        client.on('toolsChanged', (tools) => this.emit('toolsChanged', tools));
+
+        try {
+            await client.connect();
+            if (this.client !== client) return; // Stopped or restarted meanwhile
+
+            this.readySince = Date.now();
+            this.lastError = null;
+            this.setState('ready');
+            console.log(`✅ ${this.name} is ready`);
+            this.resolveWaiters();
+            this.scheduleIdleShutdown();
+        } catch (error) {
+            this.lastError = error.message;
+            console.error(`❌ Failed to start ${this.name}: ${error.message}`);
+            this.handleExit(client, { error: error.message });
+            client.disconnect();
+        }
+    }
+
+    handleExit(client, exit = {}) {
+        if (this.client !== client) return; // An old process, or we stopped it ourselves
+        this.client = null;
+        this.readySince = null;
+        this.lastExit = { ...exit, at: new Date().toISOString() };
+
+        const now = Date.now();
+        this.crashes = this.crashes.filter(at => now - at < CRASH_LOOP_WINDOW);
+        this.crashes.push(now);
+
+        if (this.crashes.length > this.maxRestarts) {
+            console.error(`🚫 ${this.name} crashed ${this.crashes.length} times in ${CRASH_LOOP_WINDOW / 60000} minutes; not restarting it again`);
+            this.setState('failed');
+            this.rejectWaiters(new Error(`MCP server '${this.name}' is failing repeatedly and has been stopped`));
+            this.emit('failed', this.lastExit);
+            return;
+        }
+
+        // Nobody is waiting for a lazy server, so there is nothing to restart it for
+        if (this.lazy && this.queue.active === 0 && this.queue.waiting.length === 0) {
+            console.log(`💤 ${this.name} exited while unused; it will start again on its next tool call`);
+            this.setState('idle');
+            return;
+        }
+
+        const delay = Math.min(this.baseDelay * 2 ** (this.crashes.length - 1), this.maxDelay);
+        console.log(`🔁 Restarting ${this.name} in ${delay}ms (restart ${this.crashes.length}/${this.maxRestarts})`);
+        this.setState('degraded');
+        this.nextRestartAt = new Date(now + delay).toISOString();
+        this.restartTimer = setTimeout(() => {
+            this.restarts++;
+            this.spawn();
+        }, delay);
+    }
+
+    // Wait until the server can take a request, waking it if it is idle
+    whenReady(signal) {
+        if (this.connected) return Promise.resolve(this.client);
+        if (this.state === 'idle') {
+            console.log(`⏰ Starting ${this.name} for its first tool call`);
+            this.spawn();
+        }
+        if (this.state === 'failed' || this.state === 'stopped') {
+            return Promise.reject(new Error(`MCP server '${this.name}' is ${this.state}`));
+        }
+
+        return new Promise((resolve, reject) => {
+            const waiter = {
+                resolve: (client) => settle(resolve, client),
+                reject: (error) => settle(reject, error)
+            };
+            const onAbort = () => waiter.reject(new Error('Request cancelled'));
+            const timeout = setTimeout(() => {
+                waiter.reject(new Error(`MCP server '${this.name}' did not become ready within ${READY_TIMEOUT / 1000}s`));
+            }, READY_TIMEOUT);
+            const settle = (callback, value) => {
+                clearTimeout(timeout);
+                signal?.removeEventListener('abort', onAbort);
+                this.waiters = this.waiters.filter(w => w !== waiter);
+                callback(value);
+            };
+
+            if (signal?.aborted) return onAbort();
+            signal?.addEventListener('abort', onAbort);
+            this.waiters.push(waiter);
+        });
+    }
+
+    resolveWaiters() {
+        [...this.waiters].forEach(waiter => waiter.resolve(this.client));
+    }
+
+    rejectWaiters(error) {
+        [...this.waiters].forEach(waiter => waiter.reject(error));
+    }
+
+    // Read-only and idempotent tools can safely run again after a crash
+    isReplayable(toolName, client) {
+        const annotations = client.getTools().find(tool => tool.name === toolName)?.annotations || {};
+        return annotations.readOnlyHint === true || annotations.idempotentHint === true;
+    }
+
+    // Call a tool once a concurrency slot is free, waiting for a restarting server.
+    // If the process dies mid-call the request is replayed once on the new process
+    // when the tool is safe to repeat, and failed otherwise.
+    async callTool(name, args = {}, options = {}) {
+        clearTimeout(this.idleTimer);
+        try {
+            return await this.queue.run(() => this.callToolWithReplay(name, args, options), { signal: options.signal });
+        } finally {
+            this.lastUsed = Date.now();
+            this.scheduleIdleShutdown();
+        }
+    }
+
+    // Lazy servers give their process up once no call has come in for idleTimeout
+    scheduleIdleShutdown() {
+        if (!this.lazy) return;
+        clearTimeout(this.idleTimer);
+        this.idleTimer = setTimeout(() => {
+            if (this.state !== 'ready' || this.queue.active > 0 || this.queue.waiting.length > 0) return;
+
+            console.log(`💤 Shutting down ${this.name} after ${Math.round(this.idleTimeout / 1000)}s without tool calls`);
+            const client = this.client;
+            this.idleTools = client.getTools();
+            this.client = null;
+            this.readySince = null;
+            client.disconnect();
+            this.setState('idle');
+        }, this.idleTimeout);
+        this.idleTimer.unref();
+    }
+
+    async callToolWithReplay(name, args, options) {
+        for (let attempt = 1; ; attempt++) {
+            const client = await this.whenReady(options.signal);
+
+            try {
+                return await client.callTool(name, args, options);
+            } catch (error) {
+                if (error.code !== 'SERVER_EXITED') throw error;
+
+                if (attempt > 1 || !this.isReplayable(name, client)) {
+                    throw new Error(`MCP server '${this.name}' exited while running ${name}; the call was not retried`);
+                }
+                console.log(`🔁 Replaying ${name} on ${this.name} once it has restarted`);
+            }
+        }
+    }
+
+    // Manual restart, also the way out of the failed state
+    async restart() {
+        const client = this.client;
+        this.client = null;
+        client?.disconnect();
+        this.crashes = [];
+        this.restarts++;
+        await this.spawn();
+        return this.state === 'ready';
+    }
+
+    status() {
+        return {
+            state: this.state,
+            connected: this.connected,
+            protocolVersion: this.protocolVersion,
+            pid: this.client?.pid || null,
+            readySince: this.readySince ? new Date(this.readySince).toISOString() : null,
+            restarts: this.restarts,
+            recentCrashes: this.crashes.length,
+            nextRestartAt: this.nextRestartAt,
+            lastExit: this.lastExit,
+            lastError: this.lastError,
+            lazy: this.lazy,
+            lastUsed: this.lastUsed ? new Date(this.lastUsed).toISOString() : null,
+            queue: this.queue.stats()
+        };
+    }
+
+    disconnect() {
+        clearTimeout(this.idleTimer);
+        clearTimeout(this.restartTimer);
+        this.restartTimer = null;
+        this.nextRestartAt = null;
+
+        const client = this.client;
+        this.client = null;
+        client?.disconnect();
+        this.setState('stopped');
+        this.rejectWaiters(new Error(`MCP server '${this.name}' is stopped`));
+    }
+}
+
+module.exports = { MCPSupervisor };
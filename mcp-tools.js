@@ -0,0 +1,67 @@
+// Shared pieces of the bridge's MCP tool definitions
+// The tools themselves live with their providers (strava-provider.js, calendar-provider.js);
+// this module holds the annotations they share and formats tool lists and results
+
+const { JSONRPC_ERRORS, MCPError, supportsFeature } = require('./mcp-protocol');
+
+// ---- ANNOTATIONS ----
+
+const READ_ONLY = { readOnlyHint: true, destructiveHint: false, idempotentHint: true };
+const ADDITIVE = { readOnlyHint: false, destructiveHint: false, idempotentHint: false };
+const DESTRUCTIVE = { readOnlyHint: false, destructiveHint: true, idempotentHint: true };
+
+// Tool list for tools/list, leaving out fields the agreed protocol revision doesn't define
+function listTools(tools, protocolVersion) {
+    const structured = supportsFeature(protocolVersion, 'structuredContent');
+    const annotated = supportsFeature(protocolVersion, 'toolAnnotations');
+    return {
+        tools: tools.map(({ name, description, inputSchema, outputSchema, annotations }) => {
+            const tool = { name, description, inputSchema };
+            if (structured) tool.outputSchema = outputSchema;
+            if (annotated) tool.annotations = annotations;
+            return tool;
+        })
+    };
+}
+
+// The tool name and arguments of a tools/call request; a request without a name is
+// the client's mistake, not an internal error
+function toolCallParams(params) {
+    if (typeof params?.name !== 'string') {
+        throw new MCPError(JSONRPC_ERRORS.INVALID_PARAMS, 'Missing tool name', { status: 400 });
+    }
+    return { name: params.name, args: params.arguments || {} };
+}
+
+// Wrap upstream data as a tool result. `structured` is what typed clients get as
+// structuredContent (it must be an object, so lists are wrapped); the text block
+// keeps the raw upstream JSON older clients already parse.
+function toolResult(data, structured = data) {
+    return {
+        content: [{
+            type: 'text',
+            text: JSON.stringify(data, null, 2)
+        }],
+        structuredContent: structured
+    };
+}
+
+// structuredContent only exists from 2025-06-18 on
+function formatToolResult(result, protocolVersion) {
+    if (!result.structuredContent || supportsFeature(protocolVersion, 'structuredContent')) {
+        return result;
+    }
+
+    const { structuredContent, ...rest } = result;
+    return rest;
+}
+
+module.exports = {
+    READ_ONLY,
+    ADDITIVE,
+    DESTRUCTIVE,
+    listTools,
+    toolCallParams,
+    toolResult,
+    formatToolResult
+};
@@ -0,0 +1,148 @@
+// Tool argument validation against the inputSchema published in tools/list
+// Covers the JSON Schema subset the bridge's schemas use, and fills in declared
+// defaults so tool implementations never have to
+
+const { JSONRPC_ERRORS, MCPError } = require('./mcp-protocol');
+
+// RFC 3339 date-time, offset required
+const DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/i;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const FORMATS = {
+    'date-time': value => DATE_TIME_PATTERN.test(value) && !isNaN(Date.parse(value)),
+    'date': value => DATE_PATTERN.test(value) && !isNaN(Date.parse(value)),
+    'email': value => EMAIL_PATTERN.test(value)
+};
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function joinPath(path, key) {
+    if (typeof key === 'number') return `${path}[${key}]`;
+    return path ? `${path}.${key}` : key;
+}
+
+// Check `value` against `schema`, collecting { field, message } errors.
+// Returns the value with defaults applied to any missing object properties.
+function validateValue(schema, value, path, errors) {
+    const field = path || '(arguments)';
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            errors.push({ field, message: `must be of type ${types.join(' or ')}, got ${typeOf(value)}` });
+            return value;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ field, message: `must be one of: ${schema.enum.join(', ')}` });
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({ field, message: `must be at least ${schema.minLength} characters long` });
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ field, message: `must match pattern ${schema.pattern}` });
+        }
+        if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+            errors.push({ field, message: `must be a valid ${schema.format}` });
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ field, message: `must be >= ${schema.minimum}` });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ field, message: `must be <= ${schema.maximum}` });
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ field, message: `must contain at least ${schema.minItems} item${schema.minItems > 1 ? 's' : ''}` });
+        }
+        if (schema.items) {
+            return value.map((item, index) => validateValue(schema.items, item, joinPath(path, index), errors));
+        }
+    }
+
+    if (typeOf(value) === 'object' && (schema.properties || schema.required || schema.additionalProperties !== undefined)) {
+        const result = { ...value };
+        const properties = schema.properties || {};
+
+        for (const [key, propertySchema] of Object.entries(properties)) {
+            if (result[key] === undefined && propertySchema.default !== undefined) {
+                result[key] = structuredClone(propertySchema.default);
+            }
+        }
+
+        for (const key of schema.required || []) {
+            if (result[key] === undefined) {
+                errors.push({ field: joinPath(path, key), message: 'is required' });
+            }
+        }
+
+        for (const [key, propertySchema] of Object.entries(properties)) {
+            if (result[key] !== undefined) {
+                result[key] = validateValue(propertySchema, result[key], joinPath(path, key), errors);
+            }
+        }
+
+        // Keys without their own schema: rejected, or checked against a shared one
+        if (schema.additionalProperties !== undefined && schema.additionalProperties !== true) {
+            for (const key of Object.keys(result).filter(key => !(key in properties))) {
+                if (schema.additionalProperties === false) {
+                    errors.push({ field: joinPath(path, key), message: 'is not allowed' });
+                } else {
+                    result[key] = validateValue(schema.additionalProperties, result[key], joinPath(path, key), errors);
+                }
+            }
+        }
+
+        return result;
+    }
+
+    return value;
+}
+
+function validateSchema(schema, value) {
+    const errors = [];
+    const result = validateValue(schema, value, '', errors);
+    return { value: result, errors };
+}
+
+// Look up a tool and check its arguments. Returns the arguments with defaults
+// applied, or throws an Invalid params error listing every failing field.
+function validateToolArguments(tools, name, args = {}) {
+    const tool = tools.find(t => t.name === name);
+    if (!tool) {
+        throw new MCPError(JSONRPC_ERRORS.INVALID_PARAMS, `Unknown tool: ${name}`, { status: 400 });
+    }
+
+    const { value, errors } = validateSchema(tool.inputSchema, args);
+    if (errors.length > 0) {
+        const details = errors.map(error => `${error.field} ${error.message}`).join('; ');
+        throw new MCPError(
+            JSONRPC_ERRORS.INVALID_PARAMS,
+            `Invalid arguments for tool ${name}: ${details}`,
+            { status: 400, data: { tool: name, errors } }
+        );
+    }
+
+    return value;
+}
+
+module.exports = { validateSchema, validateToolArguments };
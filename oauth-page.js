@@ -0,0 +1,55 @@
+// Minimal HTML pages for the browser OAuth flows: what happened, and what to do next
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// A form POSTing `fields` ({ name, label, type, value }) to `action`. Fields without a
+// label are hidden.
+function renderForm({ action, fields, submit }) {
+    const inputs = fields.map(({ name, label, type = 'text', value = '' }) => {
+        const input = `<input name="${escapeHtml(name)}" type="${label ? escapeHtml(type) : 'hidden'}" value="${escapeHtml(value)}"${label ? ' required' : ''}>`;
+        return label ? `<p><label>${escapeHtml(label)}<br>${input}</label></p>` : input;
+    }).join('\n');
+    return `<form method="post" action="${escapeHtml(action)}">\n${inputs}\n<button type="submit">${escapeHtml(submit)}</button>\n</form>`;
+}
+
+// `details` are [label, value] rows; `steps` are follow-up instructions; `form` is
+// rendered by renderForm
+function oauthPage({ title, ok, message, details = [], steps = [], form = null }) {
+    const rows = details
+        .filter(([, value]) => value !== undefined && value !== null && value !== '')
+        .map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`)
+        .join('');
+    const list = steps.map(step => `<li>${escapeHtml(step)}</li>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: system-ui, sans-serif; max-width: 40rem; margin: 3rem auto; padding: 0 1rem; color: #222; }
+h1 { color: ${ok ? '#1a7f37' : '#cf222e'}; }
+th { text-align: left; padding-right: 1rem; vertical-align: top; }
+td { font-family: ui-monospace, monospace; word-break: break-all; }
+input { font-family: ui-monospace, monospace; width: 100%; box-sizing: border-box; padding: 0.4rem; }
+</style>
+</head>
+<body>
+<h1>${form ? '' : ok ? '✅ ' : '❌ '}${escapeHtml(title)}</h1>
+<p>${escapeHtml(message)}</p>
+${rows ? `<table>${rows}</table>` : ''}
+${list ? `<ol>${list}</ol>` : ''}
+${form ? renderForm(form) : ''}
+</body>
+</html>`;
+}
+
+module.exports = { oauthPage };
@@ -0,0 +1,60 @@
+// Browser OAuth flows waiting for the provider to send the user back
+// Each flow is tied to the browser that started it: `state` travels through the
+// provider, a separate secret stays in a cookie only that browser holds, and the
+// callback needs both. Starting a new flow replaces the key's previous one, and the
+// number of flows in progress is capped.
+
+const crypto = require('crypto');
+
+const PENDING_TTL = 10 * 60 * 1000;    // How long a started sign-in may take to come back
+const MAX_PENDING = 100;               // Flows in progress at once, across all users
+
+// Constant-time comparison of two secrets of any length
+function sameSecret(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string') return false;
+    const digest = (value) => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+class PendingAuthorizations {
+    constructor({ ttl = PENDING_TTL, maxPending = MAX_PENDING } = {}) {
+        this.ttl = ttl;
+        this.maxPending = maxPending;
+        this.pending = new Map();       // state -> { apiKey, browserSecret, expiresAt, ...data }
+    }
+
+    // Start a flow for `apiKey`. Returns the `state` for the provider and the secret for
+    // the browser's cookie. Fails with code TOO_MANY_PENDING when the cap is reached.
+    create(apiKey, data = {}) {
+        const now = Date.now();
+        for (const [state, entry] of this.pending) {
+            if (entry.expiresAt < now || entry.apiKey === apiKey) this.pending.delete(state);
+        }
+
+        if (this.pending.size >= this.maxPending) {
+            const error = new Error('Too many sign-ins are in progress; try again in a few minutes');
+            error.code = 'TOO_MANY_PENDING';
+            throw error;
+        }
+
+        const state = crypto.randomBytes(24).toString('base64url');
+        const browserSecret = crypto.randomBytes(24).toString('base64url');
+        this.pending.set(state, { ...data, apiKey, browserSecret, expiresAt: now + this.ttl });
+        return { state, browserSecret };
+    }
+
+    // The flow for `state`, used up, provided the callback came to the browser that started it
+    take(state, browserSecret) {
+        const entry = this.pending.get(state);
+        this.pending.delete(state);
+        if (!entry || entry.expiresAt < Date.now()) {
+            throw new Error('This sign-in link has expired or was already used; start again');
+        }
+        if (!sameSecret(browserSecret, entry.browserSecret)) {
+            throw new Error('This sign-in was not started from this browser; start again here');
+        }
+        return entry;
+    }
+}
+
+module.exports = { PendingAuthorizations, sameSecret };
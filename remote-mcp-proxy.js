@@ -0,0 +1,365 @@
+#!/usr/bin/env node
+
+/**
+ * Remote MCP Proxy
+ *
+ * Connects Claude Desktop (or any stdio MCP client) to one of the bridge's remote
+ * MCP endpoints. Which endpoint, and which credentials it needs, comes from a
+ * service descriptor, so every backend uses this same script.
+ *
+ * Usage in claude_desktop_config.json:
+ * {
+ *   "mcpServers": {
+ *     "strava": {
+ *       "command": "node",
+ *       "args": ["/path/to/remote-mcp-proxy.js", "strava"],
+ *       "env": {
+ *         "STRAVA_REFRESH_TOKEN": "your_strava_refresh_token_here",
+ *         "MCP_SERVER_URL": "https://mcp-bridge-service-production.up.railway.app"
+ *       }
+ *     }
+ *   }
+ * }
+ *
+ * The first argument is a service name from mcp-services.json (strava, google-calendar,
+ * bridge) or a path to a descriptor file of the same shape:
+ * {
+ *   "name": "My Service",
+ *   "endpoint": "/mcp/my-service",
+ *   "headers": { "X-My-Token": "MY_TOKEN_ENV_VAR" },
+ *   "required": ["MY_TOKEN_ENV_VAR"]      // optional, defaults to every env var in headers;
+ *                                         // ["A", ["B", "C"]] means A and either B or C;
+ *                                         // [[["B", "C"], "D"]] means both B and C, or D
+ * }
+ *
+ * Strava takes STRAVA_REFRESH_TOKEN (renewed by the bridge, which keeps working) or a
+ * STRAVA_ACCESS_TOKEN (expires after six hours). STRAVA_CLIENT_ID and STRAVA_CLIENT_SECRET
+ * are only needed when the refresh token was issued to your own Strava app.
+ * After connecting Strava or Google in the browser (/oauth/strava/start,
+ * /oauth/google/start), BRIDGE_API_KEY alone is enough for that service.
+ *
+ * Transport settings (all optional):
+ *   MCP_SERVER_URL        http:// or https:// bridge URL, e.g. http://localhost:3001 for development
+ *   MCP_REQUEST_TIMEOUT   milliseconds without any reply before a request fails (default 30000)
+ *   MCP_MAX_RETRIES       retries for idempotent requests such as tools/list (default 3)
+ *   MCP_RETRY_DELAY       first backoff delay in milliseconds, doubled per retry (default 500)
+ *   HTTPS_PROXY / HTTP_PROXY / NO_PROXY   outbound proxy, as used by curl
+ *   MCP_CA_FILE           extra PEM certificate bundle(s) to trust, separated like PATH
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { JSONRPC_ERRORS, MCPError } = require('./mcp-protocol');
+const { RemoteTransport, TransportError, SSEParser, transportOptionsFromEnv, isIdempotent, readBody } = require('./remote-mcp-transport');
+
+const DEFAULT_SERVER_URL = 'https://mcp-bridge-service-production.up.railway.app';
+const SERVICES_FILE = path.join(__dirname, 'mcp-services.json');
+const STREAM_RECONNECT_DELAY = 2000;
+const STREAM_IDLE_TIMEOUT = 60000; // The bridge sends a keepalive comment every 25s
+
+// Resolve the CLI argument to a descriptor: a known service name or a JSON file
+function loadDescriptor(serviceArg) {
+    if (!serviceArg) {
+        throw new Error('Usage: remote-mcp-proxy.js <service-name | descriptor.json>');
+    }
+
+    if (serviceArg.endsWith('.json') || fs.existsSync(serviceArg)) {
+        return JSON.parse(fs.readFileSync(path.resolve(serviceArg), 'utf8'));
+    }
+
+    const services = JSON.parse(fs.readFileSync(SERVICES_FILE, 'utf8'));
+    const descriptor = services[serviceArg];
+    if (!descriptor) {
+        throw new Error(`Unknown service "${serviceArg}". Known services: ${Object.keys(services).join(', ')}`);
+    }
+    return { name: serviceArg, ...descriptor };
+}
+
+function validateDescriptor(descriptor) {
+    if (typeof descriptor.endpoint !== 'string' || !descriptor.endpoint.startsWith('/')) {
+        throw new Error('Service descriptor needs an "endpoint" path starting with "/"');
+    }
+    if (descriptor.headers && typeof descriptor.headers !== 'object') {
+        throw new Error('Service descriptor "headers" must map header names to environment variable names');
+    }
+}
+
+class RemoteMCPProxy {
+    constructor(descriptor, env = process.env) {
+        validateDescriptor(descriptor);
+
+        this.descriptor = descriptor;
+        this.transport = new RemoteTransport(transportOptionsFromEnv(env.MCP_SERVER_URL || DEFAULT_SERVER_URL, env));
+        this.sessionId = null;
+        this.protocolVersion = null;
+        this.stream = null;
+        this.lastEventId = null;
+        this.closed = false;
+
+        // Credentials: each header is filled from its environment variable
+        const headerEnv = descriptor.headers || {};
+        // A nested list in "required" means any one of those alternatives will do, and an
+        // alternative that is itself a list needs all of its variables
+        const required = descriptor.required || Object.values(headerEnv);
+        const missing = required.filter(alternatives =>
+            ![].concat(alternatives).some(names => [].concat(names).every(name => env[name])));
+
+        if (missing.length > 0) {
+            console.error(`❌ Missing required environment variables for ${descriptor.name || descriptor.endpoint}:`);
+            missing.forEach(alternatives => console.error(`   - ${[].concat(alternatives)
+                .map(names => [].concat(names).join(' and '))
+                .join(', or ')}`));
+            console.error('\nAdd them to the "env" section of your Claude Desktop config.');
+            process.exit(1);
+        }
+
+        this.credentialHeaders = {};
+        for (const [header, envName] of Object.entries(headerEnv)) {
+            if (env[envName]) {
+                this.credentialHeaders[header] = env[envName];
+            }
+        }
+    }
+
+    requestHeaders(extra = {}) {
+        const headers = { ...this.credentialHeaders, ...extra };
+        if (this.sessionId) headers['Mcp-Session-Id'] = this.sessionId;
+        if (this.protocolVersion) headers['MCP-Protocol-Version'] = this.protocolVersion;
+        return headers;
+    }
+
+    // Messages from the remote server go straight to the local client
+    writeToClient(message) {
+        process.stdout.write(JSON.stringify(message) + '\n');
+    }
+
+    // Failures become JSON-RPC errors for the request, never text content
+    replyWithError(message, error) {
+        if (message.id === undefined || message.method === undefined) return;
+
+        const mcpError = error instanceof TransportError
+            ? error.toMCPError()
+            : error instanceof MCPError
+                ? error
+                : new MCPError(JSONRPC_ERRORS.INTERNAL_ERROR, `Remote server error: ${error.message}`);
+
+        this.writeToClient({ jsonrpc: '2.0', id: message.id, error: mcpError.toJSON() });
+    }
+
+    // Forward one message from the local client: requests, notifications and
+    // responses to server-initiated requests all go out as a POST
+    async forward(message) {
+        const pending = { answered: false };
+        try {
+            await this.post(message, pending);
+        } catch (error) {
+            console.error(`Failed to forward ${message.method || 'response'}:`, error.message);
+            // An SSE reply can break after the response was already delivered
+            if (!pending.answered) {
+                this.replyWithError(message, error);
+            }
+        }
+    }
+
+    async post(message, pending) {
+        const res = await this.transport.request('POST', this.descriptor.endpoint, {
+            headers: this.requestHeaders({
+                'Content-Type': 'application/json',
+                'Accept': 'application/json, text/event-stream'
+            }),
+            body: JSON.stringify(message),
+            retry: isIdempotent(message)
+        });
+
+        if (message.method === 'initialize' && res.headers['mcp-session-id']) {
+            this.sessionId = res.headers['mcp-session-id'];
+        }
+
+        if (res.statusCode === 404 && this.sessionId && message.method !== 'initialize') {
+            console.error('⚠️  Remote session expired; the client needs to reconnect');
+            this.sessionId = null;
+            this.closeStream();
+        }
+
+        const deliver = (reply) => {
+            if (reply.id !== undefined && reply.id === message.id) pending.answered = true;
+            this.handleServerMessage(reply, message);
+        };
+
+        const contentType = res.headers['content-type'] || '';
+
+        if (contentType.includes('text/event-stream')) {
+            const parser = new SSEParser(deliver);
+            res.setEncoding('utf8');
+            await new Promise((resolve, reject) => {
+                res.on('data', chunk => parser.push(chunk));
+                res.on('end', resolve);
+                res.on('error', reject);
+            });
+
+            if (message.method !== undefined && message.id !== undefined && !pending.answered) {
+                throw new TransportError('Event stream ended without a response', { status: res.statusCode });
+            }
+            return;
+        }
+
+        const data = await readBody(res);
+        if (!data) {
+            if (res.statusCode >= 400) {
+                throw new TransportError(`HTTP ${res.statusCode}`, { status: res.statusCode });
+            }
+            return;
+        }
+
+        let parsed;
+        try {
+            parsed = JSON.parse(data);
+        } catch (error) {
+            // e.g. an HTML error page from a load balancer in front of the bridge
+            throw new TransportError(`Unexpected non-JSON response (HTTP ${res.statusCode})`, { status: res.statusCode });
+        }
+        (Array.isArray(parsed) ? parsed : [parsed]).forEach(deliver);
+    }
+
+    handleServerMessage(reply, request) {
+        // Remember the agreed revision so later requests can declare it
+        if (request?.method === 'initialize' && reply.id === request.id && reply.result?.protocolVersion) {
+            this.protocolVersion = reply.result.protocolVersion;
+        }
+
+        this.writeToClient(reply);
+    }
+
+    // Standalone GET stream for server-initiated notifications and requests
+    async openStream() {
+        if (!this.sessionId || this.stream || this.closed) return;
+
+        const parser = new SSEParser(message => this.writeToClient(message));
+        const headers = this.requestHeaders({ 'Accept': 'text/event-stream' });
+        if (this.lastEventId) headers['Last-Event-ID'] = this.lastEventId;
+
+        this.stream = { destroy: () => {} }; // Placeholder while connecting
+        let res;
+        try {
+            res = await this.transport.request('GET', this.descriptor.endpoint, {
+                headers,
+                retry: true,
+                timeout: STREAM_IDLE_TIMEOUT
+            });
+        } catch (error) {
+            console.error('Notification stream error:', error.message);
+            this.reopenStream();
+            return;
+        }
+
+        if (res.statusCode !== 200 || this.closed || !this.sessionId) {
+            // 405 means the server has no standalone stream; nothing more to do
+            this.stream = null;
+            res.destroy();
+            return;
+        }
+
+        this.stream = res;
+        res.setEncoding('utf8');
+        res.on('data', chunk => {
+            parser.push(chunk);
+            this.lastEventId = parser.lastEventId || this.lastEventId;
+        });
+        res.on('end', () => this.reopenStream());
+        res.on('error', (error) => {
+            console.error('Notification stream error:', error.message);
+            this.reopenStream();
+        });
+    }
+
+    reopenStream() {
+        if (!this.stream) return; // Already closed or reconnecting
+        this.stream = null;
+        if (this.closed || !this.sessionId) return;
+        setTimeout(() => this.openStream(), STREAM_RECONNECT_DELAY).unref();
+    }
+
+    closeStream() {
+        if (this.stream) {
+            this.stream.destroy();
+            this.stream = null;
+        }
+    }
+
+    // Tell the server we're done so it can drop the session
+    async shutdown() {
+        this.closed = true;
+        this.closeStream();
+        if (!this.sessionId) return;
+
+        try {
+            const res = await this.transport.request('DELETE', this.descriptor.endpoint, {
+                headers: this.requestHeaders(),
+                timeout: 2000
+            });
+            res.resume();
+        } catch (error) {
+            // Best effort: the server expires idle sessions on its own
+        }
+    }
+
+    run() {
+        console.error(`🔌 Remote MCP proxy for ${this.descriptor.name || this.descriptor.endpoint} starting...`);
+        console.error(`📡 Connecting to: ${new URL(this.descriptor.endpoint, this.transport.baseUrl)} (${this.transport.describe()})`);
+        console.error(`🔑 Sending headers: ${Object.keys(this.credentialHeaders).join(', ') || '(none)'}`);
+
+        const input = readline.createInterface({ input: process.stdin });
+
+        input.on('line', (line) => {
+            if (!line.trim()) return;
+
+            let message;
+            try {
+                message = JSON.parse(line);
+            } catch (error) {
+                console.error('Ignoring malformed message from client:', error.message);
+                return;
+            }
+
+            const forwarded = this.forward(message);
+
+            // Once the client has finished initializing, listen for server-initiated messages
+            if (message.method === 'notifications/initialized') {
+                forwarded.then(() => this.openStream());
+            }
+        });
+
+        input.on('close', async () => {
+            await this.shutdown();
+            process.exit(0);
+        });
+
+        console.error('✅ Remote MCP proxy ready');
+    }
+}
+
+if (require.main === module) {
+    // Handle process errors
+    process.on('uncaughtException', (error) => {
+        console.error('Uncaught exception:', error);
+        process.exit(1);
+    });
+
+    process.on('unhandledRejection', (reason, promise) => {
+        console.error('Unhandled rejection at:', promise, 'reason:', reason);
+        process.exit(1);
+    });
+
+    let proxy;
+    try {
+        proxy = new RemoteMCPProxy(loadDescriptor(process.argv[2]));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+
+    proxy.run();
+}
+
+module.exports = { RemoteMCPProxy, loadDescriptor };
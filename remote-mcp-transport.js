@@ -0,0 +1,301 @@
+// HTTP(S) transport for the remote MCP proxy and the bridge's URL-based MCP servers
+// Picks http or https from the server URL, applies timeouts, retries idempotent
+// requests with exponential backoff and tunnels through HTTPS_PROXY when set
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const tls = require('tls');
+const { JSONRPC_ERRORS, MCPError } = require('./mcp-protocol');
+
+const DEFAULT_TIMEOUT = 30000;        // Idle time allowed before a request is abandoned
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_RETRY_DELAY = 500;      // First backoff step; doubles on every attempt
+const MAX_RETRY_DELAY = 10000;
+
+// Requests that can safely be sent twice. tools/call is deliberately missing:
+// a create_event that timed out may still have created the event.
+const IDEMPOTENT_METHODS = new Set([
+    'initialize',
+    'ping',
+    'tools/list',
+    'resources/list',
+    'resources/templates/list',
+    'resources/read',
+    'prompts/list',
+    'prompts/get',
+    'completion/complete',
+    'logging/setLevel'
+]);
+
+const RETRYABLE_STATUS = new Set([429, 502, 503, 504]);
+const RETRYABLE_ERRORS = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND', 'EHOSTUNREACH', 'ENETUNREACH']);
+// Failures that happen before anything reaches the server, so any request may be resent
+const UNSENT_ERRORS = new Set(['ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND', 'EHOSTUNREACH', 'ENETUNREACH']);
+
+function isIdempotent(message) {
+    return IDEMPOTENT_METHODS.has(message?.method);
+}
+
+function parseNumber(value, fallback) {
+    const number = Number(value);
+    return value !== undefined && value !== '' && Number.isFinite(number) && number >= 0 ? number : fallback;
+}
+
+// Extra trusted certificates, e.g. for a corporate proxy that re-signs TLS traffic.
+// NODE_EXTRA_CA_CERTS also works, but only when set before Node starts.
+function loadCertificates(files) {
+    if (!files) return null;
+
+    const custom = files.split(path.delimiter).filter(Boolean).map(file => fs.readFileSync(file, 'utf8'));
+    return [...tls.rootCertificates, ...custom];
+}
+
+// NO_PROXY is a comma-separated list of hosts or domain suffixes; '*' matches everything
+function bypassesProxy(hostname, noProxy) {
+    if (!noProxy) return false;
+
+    return noProxy.split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean).some(entry => {
+        if (entry === '*') return true;
+        const host = entry.replace(/^\*?\./, '').replace(/:\d+$/, '');
+        return hostname === host || hostname.endsWith(`.${host}`);
+    });
+}
+
+// HTTPS_PROXY covers https:// servers and HTTP_PROXY plain http:// ones, as curl does
+function transportOptionsFromEnv(serverUrl, env = process.env) {
+    const secure = serverUrl.startsWith('https:');
+    return {
+        serverUrl,
+        timeout: parseNumber(env.MCP_REQUEST_TIMEOUT, DEFAULT_TIMEOUT),
+        maxRetries: parseNumber(env.MCP_MAX_RETRIES, DEFAULT_MAX_RETRIES),
+        retryDelay: parseNumber(env.MCP_RETRY_DELAY, DEFAULT_RETRY_DELAY),
+        proxy: secure ? env.HTTPS_PROXY || env.https_proxy : env.HTTP_PROXY || env.http_proxy,
+        noProxy: env.NO_PROXY || env.no_proxy,
+        caFile: env.MCP_CA_FILE
+    };
+}
+
+// Error raised for anything that kept a request from getting a usable reply
+class TransportError extends Error {
+    constructor(message, { code, status, retryable = false, retryAfter } = {}) {
+        super(message);
+        this.name = 'TransportError';
+        this.code = code;
+        this.status = status;
+        this.retryable = retryable;
+        this.retryAfter = retryAfter;
+    }
+
+    // JSON-RPC error to hand back to the local client in place of a reply
+    toMCPError() {
+        const code = this.code === 'ETIMEDOUT' ? JSONRPC_ERRORS.REQUEST_TIMEOUT : JSONRPC_ERRORS.SERVER_UNAVAILABLE;
+        const data = { attempts: this.attempts || 1 };
+        if (this.status) data.status = this.status;
+        if (this.code) data.code = this.code;
+        return new MCPError(code, `Remote server error: ${this.message}`, { data });
+    }
+}
+
+class RemoteTransport {
+    constructor({ serverUrl, timeout = DEFAULT_TIMEOUT, maxRetries = DEFAULT_MAX_RETRIES, retryDelay = DEFAULT_RETRY_DELAY, proxy, noProxy, caFile }) {
+        this.baseUrl = new URL(serverUrl);
+        if (!['http:', 'https:'].includes(this.baseUrl.protocol)) {
+            throw new Error(`MCP_SERVER_URL must be an http:// or https:// URL, got ${serverUrl}`);
+        }
+
+        this.timeout = timeout;
+        this.maxRetries = maxRetries;
+        this.retryDelay = retryDelay;
+        this.ca = loadCertificates(caFile);
+        this.proxy = proxy && !bypassesProxy(this.baseUrl.hostname, noProxy) ? new URL(proxy) : null;
+    }
+
+    describe() {
+        const details = [`timeout ${this.timeout}ms`, `${this.maxRetries} retries`];
+        if (this.proxy) details.push(`via proxy ${this.proxy.host}`);
+        if (this.ca) details.push('custom CA bundle');
+        return details.join(', ');
+    }
+
+    // Send a request and resolve with the response once its headers arrive.
+    // `retry` allows resending after network errors and 429/502/503/504 replies;
+    // without it only failures to connect at all are retried.
+    // `timeout: 0` disables the idle timeout (used for long-lived streams).
+    async request(method, endpoint, { headers = {}, body, retry = false, timeout = this.timeout } = {}) {
+        const attempts = this.maxRetries + 1;
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await this.send(method, new URL(endpoint, this.baseUrl), { headers, body, timeout });
+            } catch (error) {
+                const transportError = error instanceof TransportError
+                    ? error
+                    : new TransportError(error.message, { code: error.code, retryable: RETRYABLE_ERRORS.has(error.code) });
+
+                const retryable = retry ? transportError.retryable : UNSENT_ERRORS.has(transportError.code);
+                if (!retryable || attempt >= attempts) {
+                    transportError.attempts = attempt;
+                    throw transportError;
+                }
+
+                const delay = this.backoff(attempt, transportError.retryAfter);
+                console.error(`⚠️  ${method} ${endpoint} failed (${transportError.message}); retrying in ${delay}ms (${attempt}/${attempts - 1})`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    // Exponential backoff with jitter, unless the server said how long to wait
+    backoff(attempt, retryAfter) {
+        if (retryAfter !== undefined) return Math.min(retryAfter * 1000, MAX_RETRY_DELAY);
+        const delay = Math.min(this.retryDelay * 2 ** (attempt - 1), MAX_RETRY_DELAY);
+        return Math.round(delay / 2 + Math.random() * delay / 2);
+    }
+
+    async send(method, url, { headers, body, timeout }) {
+        const options = { method, headers: { ...headers } };
+        if (body !== undefined) {
+            options.headers['Content-Length'] = Buffer.byteLength(body);
+        }
+
+        const secure = url.protocol === 'https:';
+        let target = url;
+        let client = secure ? https : http;
+
+        if (this.proxy && secure) {
+            // HTTPS through a proxy: open a CONNECT tunnel and run TLS over it
+            const socket = await this.tunnel(url, timeout);
+            options.createConnection = () => tls.connect({ socket, servername: url.hostname, ca: this.ca || undefined });
+        } else if (this.proxy) {
+            // Plain HTTP through a proxy: send the absolute URL to the proxy itself
+            target = new URL(this.proxy.origin);
+            client = this.proxy.protocol === 'https:' ? https : http;
+            options.path = url.href;
+            options.headers.Host = url.host;
+            Object.assign(options.headers, this.proxyAuthorization());
+        } else if (secure && this.ca) {
+            options.ca = this.ca;
+        }
+
+        return await new Promise((resolve, reject) => {
+            const req = client.request(target, options, (res) => {
+                if (RETRYABLE_STATUS.has(res.statusCode)) {
+                    res.resume();
+                    const retryAfter = parseNumber(res.headers['retry-after'], undefined);
+                    reject(new TransportError(`HTTP ${res.statusCode}`, { status: res.statusCode, retryable: true, retryAfter }));
+                    return;
+                }
+
+                // The idle timeout keeps covering the body, so a stalled stream is noticed too
+                resolve(res);
+            });
+
+            if (timeout > 0) {
+                req.setTimeout(timeout, () => {
+                    req.destroy(new TransportError(`No response within ${timeout}ms`, { code: 'ETIMEDOUT', retryable: true }));
+                });
+            }
+
+            req.on('error', reject);
+            if (body !== undefined) req.write(body);
+            req.end();
+        });
+    }
+
+    proxyAuthorization() {
+        if (!this.proxy.username) return {};
+        const credentials = `${decodeURIComponent(this.proxy.username)}:${decodeURIComponent(this.proxy.password)}`;
+        return { 'Proxy-Authorization': `Basic ${Buffer.from(credentials).toString('base64')}` };
+    }
+
+    tunnel(url, timeout) {
+        return new Promise((resolve, reject) => {
+            const client = this.proxy.protocol === 'https:' ? https : http;
+            const authority = `${url.hostname}:${url.port || 443}`;
+            const req = client.request(this.proxy.origin, {
+                method: 'CONNECT',
+                path: authority,
+                headers: { Host: authority, ...this.proxyAuthorization() }
+            });
+
+            req.on('connect', (res, socket) => {
+                if (res.statusCode !== 200) {
+                    socket.destroy();
+                    reject(new TransportError(`Proxy refused tunnel (HTTP ${res.statusCode})`, {
+                        status: res.statusCode,
+                        retryable: RETRYABLE_STATUS.has(res.statusCode)
+                    }));
+                    return;
+                }
+                resolve(socket);
+            });
+
+            if (timeout > 0) {
+                req.setTimeout(timeout, () => {
+                    req.destroy(new TransportError(`Proxy did not answer within ${timeout}ms`, { code: 'ETIMEDOUT', retryable: true }));
+                });
+            }
+
+            req.on('error', reject);
+            req.end();
+        });
+    }
+}
+
+// Split a text/event-stream body into events, tracking event ids. `message`
+// events (the default type) carry JSON-RPC and go to `onMessage`; any other
+// type, such as the legacy SSE transport's `endpoint`, goes to `onEvent`.
+class SSEParser {
+    constructor(onMessage, onEvent = () => {}) {
+        this.onMessage = onMessage;
+        this.onEvent = onEvent;
+        this.buffer = '';
+        this.lastEventId = null;
+    }
+
+    push(chunk) {
+        this.buffer += chunk;
+        const events = this.buffer.split(/\r?\n\r?\n/);
+        this.buffer = events.pop();
+
+        for (const event of events) {
+            const data = [];
+            let type = 'message';
+            for (const line of event.split(/\r?\n/)) {
+                if (line.startsWith('data:')) data.push(line.slice(5).trimStart());
+                else if (line.startsWith('event:')) type = line.slice(6).trim();
+                else if (line.startsWith('id:')) this.lastEventId = line.slice(3).trim();
+            }
+
+            if (data.length === 0) continue;
+            if (type !== 'message') {
+                this.onEvent(type, data.join('\n'));
+                continue;
+            }
+
+            let message;
+            try {
+                message = JSON.parse(data.join('\n'));
+            } catch (error) {
+                console.error('Failed to parse server event:', error.message);
+                continue;
+            }
+            this.onMessage(message);
+        }
+    }
+}
+
+// Read a whole response body as text
+function readBody(res) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => data += chunk);
+        res.on('end', () => resolve(data));
+        res.on('error', reject);
+    });
+}
+
+module.exports = { RemoteTransport, TransportError, SSEParser, transportOptionsFromEnv, isIdempotent, readBody };
@@ -2,287 +2,201 @@
 // Connects to HTTP-based MCP servers instead of spawning local processes
 require('dotenv').config();
 
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
-const crypto = require('crypto');
-const https = require('https');
-const http = require('http');
+const { StreamableHTTPEndpoint } = require('./mcp-http-transport');
+const { JSONRPC_ERRORS, MCPError, buildInitializeResult } = require('./mcp-protocol');
+const {
+    STRAVA_RESOURCES,
+    STRAVA_RESOURCE_TEMPLATES,
+    CALENDAR_RESOURCES,
+    CALENDAR_RESOURCE_TEMPLATES,
+    resolveStravaResource,
+    resolveCalendarResource,
+    stravaActivityResource,
+    calendarEventResource,
+    resourceContents
+} = require('./mcp-resources');
+const { listPrompts, getPrompt } = require('./mcp-prompts');
+const { listTools, toolCallParams, formatToolResult } = require('./mcp-tools');
+const { STRAVA_TOOLS, StravaProvider, stravaCredentialsFromHeaders } = require('./strava-provider');
+const { CALENDAR_TOOLS, CalendarProvider } = require('./calendar-provider');
+const { MCPAggregator } = require('./mcp-aggregator');
+const { ConfirmationStore } = require('./mcp-confirmations');
+const { complete } = require('./mcp-completions');
+const { TokenStore } = require('./token-store');
+const { GoogleOAuth } = require('./google-oauth');
+const { StravaOAuth, STRAVA_SCOPES, DEFAULT_SCOPES, parseScopes } = require('./strava-oauth');
+const { oauthPage } = require('./oauth-page');
+const { sameSecret } = require('./oauth-state');
+
+// MCP methods that can be served without the caller's credentials
+const UNAUTHENTICATED_MCP_METHODS = new Set(['initialize', 'tools/list', 'resources/templates/list', 'prompts/list']);
+
+// Recent activities listed per resources/list page
+const RESOURCE_PAGE_SIZE = 30;
+
+// Background upstream health checks; HEALTH_PROBE_INTERVAL=0 turns them off
+const HEALTH_PROBE_INTERVAL = parseInt(process.env.HEALTH_PROBE_INTERVAL, 10) >= 0
+    ? parseInt(process.env.HEALTH_PROBE_INTERVAL, 10)
+    : 5 * 60 * 1000;
+const PROBE_TIMEOUT = 10000;
+// /ready reuses probe results up to this old instead of calling the APIs on every hit
+const READY_PROBE_MAX_AGE = 30000;
+// Lifetime of the sign-in form and browser-binding cookies of the OAuth flows
+const OAUTH_COOKIE_MAX_AGE = 10 * 60 * 1000;
+
+// The named cookie from the request, or null
+function readCookie(req, name) {
+    for (const part of (req.headers.cookie || '').split(';')) {
+        const separator = part.indexOf('=');
+        if (separator > 0 && part.slice(0, separator).trim() === name) {
+            return part.slice(separator + 1).trim();     // Only base64url values are set, so nothing to decode
+        }
+    }
+    return null;
+}
 
+// Server-side client for one provider, using the bridge's own credentials from
+// the environment. Backs the /api routes and the voice commands, and probes the
+// upstream API so /health and /ready show whether those credentials still work.
 class HTTPMCPClient {
-    constructor(name, baseUrl, authToken = null) {
+    // `provider` is a StravaProvider or CalendarProvider
+    constructor(name, provider) {
         this.name = name;
-        this.baseUrl = baseUrl;
-        this.authToken = authToken;
+        this.provider = provider;
         this.connected = false;
         this.tools = [];
+        this.probeTimer = null;
+        this.probing = null;              // The probe in flight, shared by concurrent callers
+        this.lastCheck = null;
+        this.lastSuccess = null;
+        this.lastError = null;
+        this.latencyMs = null;
+        this.account = null;
+        this.tokenExpiresAt = null;
+        this.consecutiveFailures = 0;
     }
 
     async connect() {
-        try {
-            console.log(`Testing connection to ${this.name}...`);
-            
-            // Test with actual API endpoints instead of health checks
-            if (this.name === 'strava') {
-                // Test Strava connection by checking if we can make an API call
-                this.connected = !!process.env.STRAVA_ACCESS_TOKEN;
-                if (this.connected) {
-                    console.log(`✅ Connected to ${this.name} (token configured)`);
-                } else {
-                    console.log(`❌ ${this.name}: STRAVA_ACCESS_TOKEN not configured`);
-                }
-            } else if (this.name === 'google-calendar') {
-                // Test Google Calendar connection by checking credentials
-                const hasCredentials = !!(process.env.GOOGLE_CLIENT_ID && 
-                                         process.env.GOOGLE_CLIENT_SECRET && 
-                                         process.env.GOOGLE_REFRESH_TOKEN);
-                this.connected = hasCredentials;
-                if (this.connected) {
-                    console.log(`✅ Connected to ${this.name} (credentials configured)`);
-                } else {
-                    console.log(`❌ ${this.name}: Google credentials not configured`);
-                }
-            } else {
-                this.connected = false;
-            }
-            
-            if (this.connected) {
-                this.tools = this.getAvailableTools();
-            }
-            
-            return this.connected;
-        } catch (error) {
-            console.error(`❌ Failed to connect to ${this.name}:`, error.message);
+        console.log(`Testing connection to ${this.name}...`);
+        
+        if (!this.provider.configured) {
+            console.log(`❌ ${this.name}: credentials not configured`);
             this.connected = false;
             return false;
         }
-    }
-
-    getAvailableTools() {
-        if (this.name === 'strava') {
-            return [
-                { name: 'get_athlete_profile' },
-                { name: 'get_athlete_activities' },
-                { name: 'get_activity_details' },
-                { name: 'get_athlete_stats' }
-            ];
-        } else if (this.name === 'google-calendar') {
-            return [
-                { name: 'list_gcal_calendars' },
-                { name: 'list_gcal_events' },
-                { name: 'fetch_gcal_event' },
-                { name: 'search_gcal_events' },
-                { name: 'create_gcal_event' },
-                { name: 'update_gcal_event' },
-                { name: 'delete_gcal_event' },
-                { name: 'find_free_time' }
-            ];
+        
+        this.tools = this.getAvailableTools();
+        await this.probe();
+        if (this.connected) {
+            console.log(`✅ Connected to ${this.name}${this.account ? ` as ${this.account}` : ''} (${this.latencyMs}ms)`);
+        } else {
+            console.log(`❌ ${this.name}: ${this.lastError.message}`);
         }
-        return [];
+        return this.connected;
     }
 
-    async makeRequest(endpoint, options = {}) {
-        return new Promise((resolve, reject) => {
-            const url = `${this.baseUrl}${endpoint}`;
-            const protocol = url.startsWith('https:') ? https : http;
-            
-            const reqOptions = {
-                method: options.method || 'GET',
-                headers: {
-                    'Content-Type': 'application/json',
-                    ...options.headers
-                }
-            };
-
-            // Add auth token for calendar
-            if (this.authToken) {
-                reqOptions.headers['Authorization'] = `Bearer ${this.authToken}`;
-            }
-
-            const req = protocol.request(url, reqOptions, (res) => {
-                let data = '';
-                res.on('data', chunk => data += chunk);
-                res.on('end', () => {
-                    try {
-                        const jsonData = JSON.parse(data);
-                        resolve(jsonData);
-                    } catch (error) {
-                        resolve({ error: 'Invalid JSON response', data });
-                    }
-                });
+    // Make one cheap authenticated call and record how it went
+    probe() {
+        if (!this.probing) {
+            this.probing = this.runProbe().finally(() => {
+                this.probing = null;
             });
-
-            req.on('error', reject);
-
-            if (options.body) {
-                req.write(JSON.stringify(options.body));
-            }
-
-            req.end();
-        });
+        }
+        return this.probing;
     }
 
-    async callTool(toolName, parameters = {}) {
-        if (!this.connected) {
-            throw new Error(`${this.name} MCP server not connected`);
+    async runProbe() {
+        const started = Date.now();
+        try {
+            const { account, tokenExpiresAt } = await this.provider.probe({ signal: AbortSignal.timeout(PROBE_TIMEOUT) });
+            this.latencyMs = Date.now() - started;
+            this.account = account;
+            this.tokenExpiresAt = tokenExpiresAt;
+            this.recordSuccess();
+        } catch (error) {
+            this.latencyMs = Date.now() - started;
+            this.recordFailure(error);
+        } finally {
+            this.lastCheck = new Date().toISOString();
         }
+    }
 
-        if (this.name === 'strava') {
-            return await this.callStravaAPI(toolName, parameters);
-        } else if (this.name === 'google-calendar') {
-            return await this.callCalendarAPI(toolName, parameters);
+    // Only probe again when the last check is older than `maxAge` ms
+    async probeIfStale(maxAge) {
+        if (!this.lastCheck || Date.now() - Date.parse(this.lastCheck) > maxAge) {
+            await this.probe();
         }
-
-        throw new Error(`Unknown MCP server: ${this.name}`);
     }
 
-    async callStravaAPI(toolName, parameters) {
-        // Direct Strava API calls using environment variables
-        const accessToken = process.env.STRAVA_ACCESS_TOKEN;
-        if (!accessToken) {
-            throw new Error('STRAVA_ACCESS_TOKEN not configured');
+    recordSuccess() {
+        if (!this.connected && this.lastError) {
+            console.log(`✅ ${this.name} is reachable again`);
         }
+        this.connected = true;
+        this.lastSuccess = new Date().toISOString();
+        this.consecutiveFailures = 0;
+    }
 
-        const baseUrl = 'https://www.strava.com/api/v3';
-        let endpoint = '';
-        let queryParams = '';
-
-        switch (toolName) {
-            case 'get_athlete_profile':
-                endpoint = '/athlete';
-                break;
-            case 'get_athlete_activities':
-                endpoint = '/athlete/activities';
-                const params = new URLSearchParams();
-                if (parameters.before) params.append('before', parameters.before);
-                if (parameters.after) params.append('after', parameters.after);
-                if (parameters.page) params.append('page', parameters.page);
-                if (parameters.per_page) params.append('per_page', parameters.per_page);
-                queryParams = params.toString() ? '?' + params.toString() : '';
-                break;
-            case 'get_activity_details':
-                endpoint = `/activities/${parameters.activity_id}`;
-                break;
-            case 'get_athlete_stats':
-                // Get athlete ID first if not provided
-                if (!parameters.athlete_id) {
-                    const athlete = await this.callStravaAPI('get_athlete_profile', {});
-                    parameters.athlete_id = athlete.id;
-                }
-                endpoint = `/athletes/${parameters.athlete_id}/stats`;
-                break;
-            default:
-                throw new Error(`Unknown Strava tool: ${toolName}`);
+    recordFailure(error) {
+        if (this.connected) {
+            console.error(`❌ ${this.name} health check failed: ${error.message}`);
         }
+        this.connected = false;
+        this.consecutiveFailures++;
+        this.lastError = { message: error.message, status: error.status, at: new Date().toISOString() };
+    }
 
-        return new Promise((resolve, reject) => {
-            const url = `${baseUrl}${endpoint}${queryParams}`;
-            
-            https.request(url, {
-                headers: {
-                    'Authorization': `Bearer ${accessToken}`,
-                    'Accept': 'application/json'
-                }
-            }, (res) => {
-                let data = '';
-                res.on('data', chunk => data += chunk);
-                res.on('end', () => {
-                    try {
-                        const jsonData = JSON.parse(data);
-                        
-                        if (res.statusCode >= 400) {
-                            reject(new Error(`Strava API error: ${res.statusCode} ${jsonData.message || 'Unknown error'}`));
-                        } else {
-                            // Format response to match MCP format
-                            resolve({
-                                content: [{
-                                    type: 'text',
-                                    text: JSON.stringify(jsonData, null, 2)
-                                }]
-                            });
-                        }
-                    } catch (error) {
-                        reject(new Error(`Failed to parse Strava response: ${error.message}`));
-                    }
-                });
-            }).on('error', reject).end();
-        });
+    // Probe every `interval` ms in the background
+    startProbes(interval) {
+        if (!this.provider.configured || interval <= 0) return;
+        this.stopProbes();
+        this.probeTimer = setInterval(() => this.probe(), interval);
+        this.probeTimer.unref();
     }
 
-    async callCalendarAPI(toolName, parameters) {
-        // Use Google Calendar API directly with OAuth
-        const { OAuth2Client } = require('google-auth-library');
-        const { google } = require('googleapis');
+    stopProbes() {
+        clearInterval(this.probeTimer);
+        this.probeTimer = null;
+    }
 
-        const oauth2Client = new OAuth2Client(
-            process.env.GOOGLE_CLIENT_ID,
-            process.env.GOOGLE_CLIENT_SECRET
-        );
+    status() {
+        return {
+            configured: this.provider.configured,
+            connected: this.connected,
+            account: this.account,
+            lastCheck: this.lastCheck,
+            lastSuccess: this.lastSuccess,
+            lastError: this.lastError,
+            latencyMs: this.latencyMs,
+            tokenExpiresAt: this.tokenExpiresAt,
+            consecutiveFailures: this.consecutiveFailures,
+            tools: this.tools.map(t => t.name)
+        };
+    }
 
-        oauth2Client.setCredentials({
-            refresh_token: process.env.GOOGLE_REFRESH_TOKEN
-        });
+    getAvailableTools() {
+        return this.provider.tools;
+    }
 
-        const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
+    // Calls aren't refused after a failed probe; a working call also proves the
+    // credentials, and a rejected one marks them bad straight away
+    async callTool(toolName, parameters = {}) {
+        if (!this.provider.configured) {
+            throw new Error(`${this.name} MCP server not configured`);
+        }
 
         try {
-            switch (toolName) {
-                case 'list-calendars':
-                    const calendars = await calendar.calendarList.list();
-                    return {
-                        content: [{
-                            type: 'text',
-                            text: JSON.stringify(calendars.data.items || [], null, 2)
-                        }]
-                    };
-
-                case 'list-events':
-                    const events = await calendar.events.list({
-                        calendarId: parameters.calendarId || 'primary',
-                        timeMin: parameters.timeMin,
-                        timeMax: parameters.timeMax,
-                        maxResults: parameters.maxResults || 10,
-                        singleEvents: true,
-                        orderBy: 'startTime'
-                    });
-                    return {
-                        content: [{
-                            type: 'text',
-                            text: JSON.stringify(events.data.items || [], null, 2)
-                        }]
-                    };
-
-                case 'create-event':
-                    const event = {
-                        summary: parameters.summary,
-                        description: parameters.description,
-                        location: parameters.location,
-                        start: {
-                            dateTime: parameters.start,
-                            timeZone: parameters.timeZone
-                        },
-                        end: {
-                            dateTime: parameters.end,
-                            timeZone: parameters.timeZone
-                        }
-                    };
-                    
-                    const createdEvent = await calendar.events.insert({
-                        calendarId: parameters.calendarId || 'primary',
-                        requestBody: event
-                    });
-                    
-                    return {
-                        content: [{
-                            type: 'text',
-                            text: JSON.stringify(createdEvent.data, null, 2)
-                        }]
-                    };
-
-                default:
-                    throw new Error(`Unknown Calendar tool: ${toolName}`);
-            }
+            const result = await this.provider.callTool(toolName, parameters);
+            this.recordSuccess();
+            return result;
         } catch (error) {
-            throw new Error(`Google Calendar API error: ${error.message}`);
+            if (error.status === 401) {
+                this.recordFailure(error);
+            }
+            throw error;
         }
     }
 }
@@ -293,10 +207,34 @@ class MCPBridgeService {
         this.port = process.env.PORT || 3001;
         this.mcpClients = new Map();
         this.apiKeys = new Set();
+        // Keys the operator handed out (comma-separated BRIDGE_API_KEYS). Only these can
+        // connect a Google account or Strava athlete, or use one connected earlier.
+        this.issuedApiKeys = new Set((process.env.BRIDGE_API_KEYS || '').split(',').map(key => key.trim()).filter(Boolean));
         this.claudeApiKey = process.env.CLAUDE_API_KEY;
         this.lastQueryResult = null;
         this.initialized = false;
         
+        // Destructive calendar tools return a preview and a token before running,
+        // unless CONFIRM_DESTRUCTIVE_TOOLS=false
+        this.confirmDestructiveTools = process.env.CONFIRM_DESTRUCTIVE_TOOLS !== 'false';
+        this.confirmations = new ConfirmationStore();
+
+        // OAuth tokens the bridge rotates itself (TOKEN_STORE_FILE)
+        this.tokenStore = new TokenStore();
+
+        // Users connect their own Google account and Strava athlete in the browser
+        // (/oauth/google/start, /oauth/strava/start)
+        this.googleOAuth = new GoogleOAuth({
+            clientId: process.env.GOOGLE_CLIENT_ID,
+            clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+            tokenStore: this.tokenStore
+        });
+        this.stravaOAuth = new StravaOAuth({
+            clientId: process.env.STRAVA_CLIENT_ID,
+            clientSecret: process.env.STRAVA_CLIENT_SECRET,
+            tokenStore: this.tokenStore
+        });
+        
         this.setupMiddleware();
         this.setupRoutes();
     }
@@ -317,7 +255,8 @@ class MCPBridgeService {
     setupMiddleware() {
         this.app.use(cors({
             origin: '*',
-            credentials: true
+            credentials: true,
+            exposedHeaders: ['Mcp-Session-Id']
         }));
 
         this.app.use(express.json());
@@ -354,24 +293,47 @@ class MCPBridgeService {
             });
         });
 
-        // Health check
+        // Health check, from the latest background probes. Still 200 when an upstream
+        // API is failing: the bridge itself is up and can report on it
         this.app.get('/health', (req, res) => {
             const serverStatus = {};
             for (const [name, client] of this.mcpClients) {
-                serverStatus[name] = {
-                    connected: client.connected,
-                    tools: client.tools.map(t => t.name)
-                };
+                serverStatus[name] = client.status();
             }
             
+            const allConnected = Object.values(serverStatus).every(server => !server.configured || server.connected);
             res.json({ 
-                status: 'healthy', 
+                status: allConnected ? 'healthy' : 'degraded', 
                 timestamp: new Date().toISOString(),
                 mcpServers: serverStatus,
                 environment: 'railway'
             });
         });
 
+        // Deep readiness check: every configured upstream API must answer with the
+        // bridge's credentials. 503 until they do.
+        this.app.get('/ready', async (req, res) => {
+            const clients = Array.from(this.mcpClients.values()).filter(client => client.provider.configured);
+            await Promise.all(clients.map(client => client.probeIfStale(READY_PROBE_MAX_AGE)));
+
+            const checks = {};
+            for (const client of clients) {
+                checks[client.name] = {
+                    ok: client.connected,
+                    latencyMs: client.latencyMs,
+                    checkedAt: client.lastCheck,
+                    error: client.connected ? undefined : client.lastError?.message
+                };
+            }
+
+            const ready = this.initialized && clients.every(client => client.connected);
+            res.status(ready ? 200 : 503).json({
+                status: ready ? 'ready' : 'not ready',
+                timestamp: new Date().toISOString(),
+                checks
+            });
+        });
+
         // Strava endpoints
         this.app.get('/api/strava/activities', async (req, res) => {
             try {
@@ -380,7 +342,7 @@ class MCPBridgeService {
                     per_page: parseInt(limit)
                 });
                 
-                let activities = this.parseStravaResponse(result);
+                const { activities } = this.parseStravaResponse(result);
                 res.json(activities);
             } catch (error) {
                 console.error('Strava activities error:', error);
@@ -414,13 +376,13 @@ class MCPBridgeService {
         this.app.get('/api/calendar/events', async (req, res) => {
             try {
                 const { timeframe = 'week' } = req.query;
-                const result = await this.callMCPFunction('google-calendar', 'list-events', {
-                    calendarId: 'primary',
-                    timeMin: this.getTimeframeStart(timeframe),
-                    timeMax: this.getTimeframeEnd(timeframe)
+                const result = await this.callMCPFunction('google-calendar', 'list_gcal_events', {
+                    calendar_id: 'primary',
+                    time_min: this.getTimeframeStart(timeframe),
+                    time_max: this.getTimeframeEnd(timeframe)
                 });
                 
-                const events = this.parseCalendarResponse(result);
+                const { events } = this.parseCalendarResponse(result);
                 res.json(events);
             } catch (error) {
                 console.error('Calendar events error:', error);
@@ -430,8 +392,8 @@ class MCPBridgeService {
 
         this.app.get('/api/calendar/calendars', async (req, res) => {
             try {
-                const result = await this.callMCPFunction('google-calendar', 'list-calendars', {});
-                const calendars = this.parseCalendarResponse(result);
+                const result = await this.callMCPFunction('google-calendar', 'list_gcal_calendars', {});
+                const { calendars } = this.parseCalendarResponse(result);
                 res.json(calendars);
             } catch (error) {
                 console.error('Calendar list error:', error);
@@ -441,7 +403,7 @@ class MCPBridgeService {
 
         this.app.get('/api/calendar/test', async (req, res) => {
             try {
-                const result = await this.callMCPFunction('google-calendar', 'list-calendars', {});
+                const result = await this.callMCPFunction('google-calendar', 'list_gcal_calendars', {});
                 res.json({ 
                     success: true, 
                     message: 'Calendar connection working!',
@@ -473,570 +435,635 @@ class MCPBridgeService {
             }
         });
 
+        // Browser sign-in that stores a user's Google and Strava tokens under their API key
+        this.addGoogleOAuthRoutes();
+        this.addStravaOAuthRoutes();
+
         // Add MCP Protocol endpoints for multi-tenant access
         this.addMCPProtocolEndpoints();
     }
 
-    addMCPProtocolEndpoints() {
-        // Strava MCP Server Endpoint
-        this.app.post('/mcp/strava', async (req, res) => {
+    addGoogleOAuthRoutes() {
+        // Start the Google sign-in: open /oauth/google/start and enter your bridge API key
+        this.app.get('/oauth/google/start', (req, res) => {
+            if (!this.googleOAuth.configured) return this.oauthNotConfigured(res, 'Google', 'GOOGLE');
+            this.sendOAuthStartForm(req, res, 'google', { title: 'Connect Google Calendar' });
+        });
+
+        this.app.post('/oauth/google/start', express.urlencoded({ extended: false }), (req, res) => {
+            if (!this.googleOAuth.configured) return this.oauthNotConfigured(res, 'Google', 'GOOGLE');
+            const apiKey = this.oauthStartApiKey(req, res, 'google');
+            if (!apiKey) return;
+
+            this.redirectToOAuth(req, res, 'google', () =>
+                this.googleOAuth.start(apiKey, `${this.publicUrl(req)}/oauth/google/callback`));
+        });
+
+        this.app.get('/oauth/google/callback', async (req, res) => {
+            const { state, code, error } = req.query;
+            if (error || !state || !code) {
+                return res.status(400).send(oauthPage({
+                    title: 'Google sign-in was not completed',
+                    ok: false,
+                    message: error ? `Google reported: ${error}` : 'The callback is missing its code or state.',
+                    steps: ['Start again from /oauth/google/start']
+                }));
+            }
+
+            let connection;
             try {
-                const { jsonrpc, id, method, params } = req.body;
-                
-                // Validate MCP request format
-                if (jsonrpc !== '2.0') {
-                    return res.status(400).json({
-                        jsonrpc: '2.0',
-                        id,
-                        error: { code: -32602, message: 'Invalid JSON-RPC version' }
-                    });
-                }
-                
-                // Get user's Strava token from headers
-                const stravaToken = req.headers['x-strava-token'];
-                if (!stravaToken && method !== 'initialize' && method !== 'tools/list') {
-                    return res.status(401).json({
-                        jsonrpc: '2.0',
-                        id,
-                        error: { code: -32001, message: 'Missing Strava access token in X-Strava-Token header' }
-                    });
-                }
-                
-                let result;
-                
-                switch (method) {
-                    case 'initialize':
-                        result = {
-                            protocolVersion: '2024-11-05',
-                            capabilities: { tools: {} },
-                            serverInfo: { name: 'remote-strava-mcp-server', version: '1.0.0' }
-                        };
-                        break;
-                        
-                    case 'tools/list':
-                        result = {
-                            tools: [
-                                {
-                                    name: 'get_athlete_profile',
-                                    description: 'Get the authenticated athlete\'s profile information',
-                                    inputSchema: { type: 'object', properties: {} }
-                                },
-                                {
-                                    name: 'get_athlete_activities',
-                                    description: 'Get the authenticated athlete\'s activities',
-                                    inputSchema: {
-                                        type: 'object',
-                                        properties: {
-                                            before: { type: 'integer', description: 'Unix timestamp to get activities before' },
-                                            after: { type: 'integer', description: 'Unix timestamp to get activities after' },
-                                            page: { type: 'integer', description: 'Page number (default: 1)' },
-                                            per_page: { type: 'integer', description: 'Number of activities per page (default: 30, max: 200)' }
-                                        }
-                                    }
-                                },
-                                {
-                                    name: 'get_activity_details',
-                                    description: 'Get detailed information about a specific activity',
-                                    inputSchema: {
-                                        type: 'object',
-                                        properties: { activity_id: { type: 'string', description: 'The ID of the activity' } },
-                                        required: ['activity_id']
-                                    }
-                                },
-                                {
-                                    name: 'get_athlete_stats',
-                                    description: 'Get the authenticated athlete\'s statistics',
-                                    inputSchema: {
-                                        type: 'object',
-                                        properties: { athlete_id: { type: 'string', description: 'The ID of the athlete (use current athlete if not provided)' } }
-                                    }
-                                }
-                            ]
-                        };
-                        break;
-                        
-                    case 'tools/call':
-                        const { name, arguments: args } = params;
-                        result = await this.callStravaToolWithUserToken(name, args || {}, stravaToken);
-                        break;
-                        
-                    default:
-                        return res.status(400).json({
-                            jsonrpc: '2.0',
-                            id,
-                            error: { code: -32601, message: `Method not found: ${method}` }
-                        });
-                }
-                
-                res.json({ jsonrpc: '2.0', id, result });
-                
+                connection = await this.googleOAuth.finish({ state, code, browserSecret: this.takeOAuthCookie(req, res, 'google') });
             } catch (error) {
-                console.error('Strava MCP error:', error);
-                res.status(500).json({
-                    jsonrpc: '2.0',
-                    id: req.body?.id,
-                    error: { code: -32603, message: error.message }
-                });
+                console.error('Google OAuth callback error:', error.message);
+                return res.status(400).send(oauthPage({
+                    title: 'Could not connect Google',
+                    ok: false,
+                    message: error.message,
+                    steps: ['Start again from /oauth/google/start']
+                }));
+            }
+
+            // Show whether the new credentials actually reach the Calendar API
+            let status;
+            try {
+                const credentials = await this.googleOAuth.credentials(connection.apiKey);
+                const { account } = await new CalendarProvider(credentials).probe({ signal: AbortSignal.timeout(PROBE_TIMEOUT) });
+                status = `Connected - primary calendar ${account || 'found'}`;
+            } catch (error) {
+                status = `Saved, but the Calendar API check failed: ${error.message}`;
             }
+
+            res.send(oauthPage({
+                title: 'Google Calendar connected',
+                ok: true,
+                message: 'The bridge will use this Google account for requests made with your API key.',
+                details: [
+                    ['Google account', connection.email],
+                    ['Status', status],
+                    ['Scopes', connection.scopes.join(' ')]
+                ],
+                steps: [
+                    'In your MCP client, send your bridge API key in the X-API-Key header (BRIDGE_API_KEY for remote-mcp-proxy.js)',
+                    'The X-Google-* headers are no longer needed'
+                ]
+            }));
         });
-        
-        // Google Calendar MCP Server Endpoint
-        this.app.post('/mcp/calendar', async (req, res) => {
+    }
+
+    addStravaOAuthRoutes() {
+        // Start the Strava sign-in: open /oauth/strava/start (optionally ?scope=read,activity:read)
+        // and enter your bridge API key
+        this.app.get('/oauth/strava/start', (req, res) => {
+            if (!this.stravaOAuth.configured) return this.oauthNotConfigured(res, 'Strava', 'STRAVA');
+            this.sendOAuthStartForm(req, res, 'strava', {
+                title: 'Connect Strava',
+                fields: [{ name: 'scope', label: 'Strava scopes', value: req.query.scope || DEFAULT_SCOPES.join(',') }]
+            });
+        });
+
+        this.app.post('/oauth/strava/start', express.urlencoded({ extended: false }), (req, res) => {
+            if (!this.stravaOAuth.configured) return this.oauthNotConfigured(res, 'Strava', 'STRAVA');
+            const scope = req.body?.scope || req.query.scope;
+            const scopes = scope ? parseScopes(scope) : DEFAULT_SCOPES;
+            if (!scopes || scopes.length === 0) {
+                return res.status(400).send(oauthPage({
+                    title: 'Unknown Strava scope',
+                    ok: false,
+                    message: `"scope" must be a comma-separated list of: ${STRAVA_SCOPES.join(', ')}`
+                }));
+            }
+            const apiKey = this.oauthStartApiKey(req, res, 'strava');
+            if (!apiKey) return;
+
+            this.redirectToOAuth(req, res, 'strava', () =>
+                this.stravaOAuth.start(apiKey, `${this.publicUrl(req)}/oauth/strava/callback`, scopes));
+        });
+
+        this.app.get('/oauth/strava/callback', async (req, res) => {
+            const { state, code, scope, error } = req.query;
+            if (error || !state || !code) {
+                return res.status(400).send(oauthPage({
+                    title: 'Strava sign-in was not completed',
+                    ok: false,
+                    message: error ? `Strava reported: ${error}` : 'The callback is missing its code or state.',
+                    steps: ['Start again from /oauth/strava/start']
+                }));
+            }
+
+            let connection;
             try {
-                const { jsonrpc, id, method, params } = req.body;
-                
-                if (jsonrpc !== '2.0') {
-                    return res.status(400).json({
-                        jsonrpc: '2.0',
-                        id,
-                        error: { code: -32602, message: 'Invalid JSON-RPC version' }
-                    });
-                }
-                
-                const googleClientId = req.headers['x-google-client-id'];
-                const googleClientSecret = req.headers['x-google-client-secret'];
-                const googleRefreshToken = req.headers['x-google-refresh-token'];
-                
-                if (!googleClientId || !googleClientSecret || !googleRefreshToken) {
-                    if (method !== 'initialize' && method !== 'tools/list') {
-                        return res.status(401).json({
-                            jsonrpc: '2.0',
-                            id,
-                            error: { 
-                                code: -32001, 
-                                message: 'Missing Google credentials in headers: X-Google-Client-Id, X-Google-Client-Secret, X-Google-Refresh-Token' 
-                            }
-                        });
-                    }
-                }
-                
-                let result;
-                
-                switch (method) {
-                    case 'initialize':
-                        result = {
-                            protocolVersion: '2024-11-05',
-                            capabilities: { tools: {} },
-                            serverInfo: { name: 'remote-google-calendar-mcp-server', version: '1.0.0' }
-                        };
-                        break;
-                        
-                    case 'tools/list':
-                        result = {
-                            tools: [
-                                {
-                                    name: 'list_gcal_calendars',
-                                    description: 'List all available calendars in Google Calendar',
-                                    inputSchema: {
-                                        type: 'object',
-                                        properties: {
-                                            page_token: { type: 'string', description: 'Token for pagination' }
-                                        }
-                                    }
-                                },
-                                {
-                                    name: 'list_gcal_events',
-                                    description: 'This tool lists or searches events from a specific Google Calendar',
-                                    inputSchema: {
-                                        type: 'object',
-                                        properties: {
-                                            calendar_id: { type: 'string', description: 'Always supply this field explicitly. Use the default of \'primary\' unless the user tells you have a good reason to use a specific calendar', default: 'primary' },
-                                            max_results: { type: 'integer', description: 'Maximum number of events returned per calendar', default: 25 },
-                                            page_token: { type: 'string', description: 'Token specifying which result page to return' },
-                                            query: { type: 'string', description: 'Free text search terms to find events' },
-                                            time_max: { type: 'string', description: 'Upper bound (exclusive) for an event\'s start time to filter by', format: 'date-time' },
-                                            time_min: { type: 'string', description: 'Lower bound (exclusive) for an event\'s end time to filter by', format: 'date-time' },
-                                            time_zone: { type: 'string', description: 'Time zone used in the response, formatted as an IANA Time Zone Database name' }
-                                        },
-                                        required: ['calendar_id']
-                                    }
-                                },
-                                {
-                                    name: 'fetch_gcal_event',
-                                    description: 'Retrieve a specific event from a Google calendar',
-                                    inputSchema: {
-                                        type: 'object',
-                                        properties: {
-                                            calendar_id: { type: 'string', description: 'The ID of the calendar containing the event' },
-                                            event_id: { type: 'string', description: 'The ID of the event to retrieve' }
-                                        },
-                                        required: ['calendar_id', 'event_id']
-                                    }
-                                },
-                                {
-                                    name: 'search_gcal_events',
-                                    description: 'Search for events in a calendar by text query',
-                                    inputSchema: {
-                                        type: 'object',
-                                        properties: {
-                                            calendar_id: { type: 'string', description: 'ID of the calendar to search events in (use \'primary\' for the main calendar)' },
-                                            query: { type: 'string', description: 'Free text search query' },
-                                            time_max: { type: 'string', description: 'End time boundary in ISO format with timezone required', format: 'date-time' },
-                                            time_min: { type: 'string', description: 'Start time boundary in ISO format with timezone required', format: 'date-time' }
-                                        },
-                                        required: ['calendar_id', 'query']
-                                    }
-                                },
-                                {
-                                    name: 'create_gcal_event',
-                                    description: 'Create a new calendar event',
-                                    inputSchema: {
-                                        type: 'object',
-                                        properties: {
-                                            calendar_id: { type: 'string', description: 'ID of the calendar to create the event in (use \'primary\' for the main calendar)' },
-                                            summary: { type: 'string', description: 'Title of the event' },
-                                            description: { type: 'string', description: 'Description/notes for the event (optional)' },
-                                            start: { type: 'string', description: 'Start time in ISO format with timezone required', format: 'date-time' },
-                                            end: { type: 'string', description: 'End time in ISO format with timezone required', format: 'date-time' },
-                                            time_zone: { type: 'string', description: 'Timezone of the event start/end times' },
-                                            location: { type: 'string', description: 'Location of the event (optional)' },
-                                            attendees: { type: 'array', description: 'List of attendee email addresses (optional)', items: { type: 'object', properties: { email: { type: 'string', format: 'email' } } } }
-                                        },
-                                        required: ['calendar_id', 'summary', 'start', 'end', 'time_zone']
-                                    }
-                                },
-                                {
-                                    name: 'update_gcal_event',
-                                    description: 'Update an existing calendar event',
-                                    inputSchema: {
-                                        type: 'object',
-                                        properties: {
-                                            calendar_id: { type: 'string', description: 'ID of the calendar containing the event' },
-                                            event_id: { type: 'string', description: 'ID of the event to update' },
-                                            summary: { type: 'string', description: 'New title for the event (optional)' },
-                                            description: { type: 'string', description: 'New description for the event (optional)' },
-                                            start: { type: 'string', description: 'New start time in ISO format with timezone required', format: 'date-time' },
-                                            end: { type: 'string', description: 'New end time in ISO format with timezone required', format: 'date-time' },
-                                            time_zone: { type: 'string', description: 'Timezone for the start/end times' },
-                                            location: { type: 'string', description: 'New location for the event (optional)' },
-                                            attendees: { type: 'array', description: 'New list of attendee email addresses (optional)', items: { type: 'object', properties: { email: { type: 'string', format: 'email' } } } }
-                                        },
-                                        required: ['calendar_id', 'event_id', 'time_zone']
-                                    }
-                                },
-                                {
-                                    name: 'delete_gcal_event',
-                                    description: 'Delete a calendar event',
-                                    inputSchema: {
-                                        type: 'object',
-                                        properties: {
-                                            calendar_id: { type: 'string', description: 'ID of the calendar containing the event' },
-                                            event_id: { type: 'string', description: 'ID of the event to delete' }
-                                        },
-                                        required: ['calendar_id', 'event_id']
-                                    }
-                                },
-                                {
-                                    name: 'find_free_time',
-                                    description: 'Use this tool to find free time periods across a list of calendars',
-                                    inputSchema: {
-                                        type: 'object',
-                                        properties: {
-                                            calendar_ids: { type: 'array', description: 'List of calendar IDs to analyze for free time intervals', items: { type: 'string' } },
-                                            time_min: { type: 'string', description: 'Lower bound (exclusive) for an event\'s end time to filter by' },
-                                            time_max: { type: 'string', description: 'Upper bound (exclusive) for an event\'s start time to filter by' },
-                                            time_zone: { type: 'string', description: 'Time zone used in the response, formatted as an IANA Time Zone Database name' }
-                                        },
-                                        required: ['calendar_ids', 'time_max', 'time_min']
-                                    }
-                                }
-                            ]
-                        };
-                        break;
-                        
-                    case 'tools/call':
-                        const { name, arguments: args } = params;
-                        result = await this.callCalendarToolWithUserCredentials(
-                            name, 
-                            args || {}, 
-                            googleClientId, 
-                            googleClientSecret, 
-                            googleRefreshToken
-                        );
-                        break;
-                        
-                    default:
-                        return res.status(400).json({
-                            jsonrpc: '2.0',
-                            id,
-                            error: { code: -32601, message: `Method not found: ${method}` }
-                        });
-                }
-                
-                res.json({ jsonrpc: '2.0', id, result });
-                
+                connection = await this.stravaOAuth.finish({ state, code, scope, browserSecret: this.takeOAuthCookie(req, res, 'strava') });
             } catch (error) {
-                console.error('Calendar MCP error:', error);
-                res.status(500).json({
-                    jsonrpc: '2.0',
-                    id: req.body?.id,
-                    error: { code: -32603, message: error.message }
-                });
+                console.error('Strava OAuth callback error:', error.message);
+                return res.status(400).send(oauthPage({
+                    title: 'Could not connect Strava',
+                    ok: false,
+                    message: error.message,
+                    steps: ['Start again from /oauth/strava/start']
+                }));
+            }
+
+            const { athlete, scopes, missingScopes } = connection;
+            const steps = [
+                'In your MCP client, send your bridge API key in the X-API-Key header (BRIDGE_API_KEY for remote-mcp-proxy.js)',
+                'The X-Strava-* headers are no longer needed'
+            ];
+            if (missingScopes.length > 0) {
+                steps.unshift(`Not granted: ${missingScopes.join(', ')}. Tools that need them will ask you to re-authorize with those scopes.`);
             }
+
+            res.send(oauthPage({
+                title: 'Strava connected',
+                ok: true,
+                message: 'The bridge will use this Strava athlete for requests made with your API key, and renew the access token itself.',
+                details: [
+                    ['Athlete', [athlete.firstname, athlete.lastname].filter(Boolean).join(' ') || athlete.username || athlete.id],
+                    ['Granted scopes', scopes.join(', ')]
+                ],
+                steps
+            }));
         });
     }
 
-    // Strava API calls with user's token
-    async callStravaToolWithUserToken(toolName, parameters, userToken) {
-        const baseUrl = 'https://www.strava.com/api/v3';
-        let endpoint = '';
-        let queryParams = '';
-        
-        switch (toolName) {
-            case 'get_athlete_profile':
-                endpoint = '/athlete';
-                break;
-            case 'get_athlete_activities':
-                endpoint = '/athlete/activities';
-                const params = new URLSearchParams();
-                if (parameters.before) params.append('before', parameters.before);
-                if (parameters.after) params.append('after', parameters.after);
-                if (parameters.page) params.append('page', parameters.page);
-                if (parameters.per_page) params.append('per_page', parameters.per_page);
-                queryParams = params.toString() ? '?' + params.toString() : '';
-                break;
-            case 'get_activity_details':
-                endpoint = `/activities/${parameters.activity_id}`;
-                break;
-            case 'get_athlete_stats':
-                if (!parameters.athlete_id) {
-                    const athlete = await this.callStravaToolWithUserToken('get_athlete_profile', {}, userToken);
-                    const athleteData = JSON.parse(athlete.content[0].text);
-                    parameters.athlete_id = athleteData.id;
-                }
-                endpoint = `/athletes/${parameters.athlete_id}/stats`;
-                break;
+    oauthNotConfigured(res, service, envPrefix) {
+        return res.status(503).send(oauthPage({
+            title: `${service} sign-in is not set up`,
+            ok: false,
+            message: `This bridge has no ${envPrefix}_CLIENT_ID and ${envPrefix}_CLIENT_SECRET configured.`
+        }));
+    }
+
+    isIssuedApiKey(apiKey) {
+        return typeof apiKey === 'string' && this.issuedApiKeys.has(apiKey);
+    }
+
+    // The page that asks for the user's API key and POSTs it back to the start route. The
+    // form token in it must match a SameSite=Strict cookie, so another site can't submit
+    // the form on a visitor's behalf with its own key.
+    sendOAuthStartForm(req, res, provider, { title, fields = [] }) {
+        const formToken = crypto.randomBytes(24).toString('base64url');
+        res.cookie(`oauth_form_${provider}`, formToken, {
+            httpOnly: true,
+            sameSite: 'strict',
+            secure: this.publicUrl(req).startsWith('https:'),
+            path: `/oauth/${provider}/start`,
+            maxAge: OAUTH_COOKIE_MAX_AGE
+        });
+        res.send(oauthPage({
+            title,
+            ok: true,
+            message: 'Enter the bridge API key you were given. The account you sign in with next is used for requests made with that key.',
+            form: {
+                action: `/oauth/${provider}/start`,
+                fields: [
+                    { name: 'apiKey', label: 'Bridge API key', type: 'password' },
+                    ...fields,
+                    { name: 'formToken', value: formToken }
+                ],
+                submit: 'Continue'
+            }
+        }));
+    }
+
+    // The issued API key a start request carries: X-API-Key, or the form's apiKey field
+    // alongside a valid form token. Sends an error page and returns null otherwise.
+    oauthStartApiKey(req, res, provider) {
+        let apiKey = req.headers['x-api-key'];
+        if (!apiKey && req.body?.apiKey) {
+            // A field sent twice arrives as an array
+            if (typeof req.body.apiKey !== 'string') {
+                res.status(400).send(oauthPage({
+                    title: 'Invalid API key',
+                    ok: false,
+                    message: 'Send one API key in the apiKey field.',
+                    steps: [`Start again from /oauth/${provider}/start`]
+                }));
+                return null;
+            }
+            if (!sameSecret(req.body.formToken, readCookie(req, `oauth_form_${provider}`))) {
+                res.status(403).send(oauthPage({
+                    title: 'Sign-in form expired',
+                    ok: false,
+                    message: 'Submit your API key from this bridge\'s own sign-in page.',
+                    steps: [`Start again from /oauth/${provider}/start`]
+                }));
+                return null;
+            }
+            apiKey = req.body.apiKey.trim();
+        }
+
+        if (!this.isIssuedApiKey(apiKey)) {
+            res.status(apiKey ? 403 : 401).send(oauthPage({
+                title: apiKey ? 'Unknown API key' : 'Missing API key',
+                ok: false,
+                message: 'Use a bridge API key issued by the bridge operator, entered on the sign-in page or sent in X-API-Key.',
+                steps: [`Start again from /oauth/${provider}/start`]
+            }));
+            return null;
+        }
+        return apiKey;
+    }
+
+    // Send the browser to the provider's consent page. `start()` returns { url, browserSecret };
+    // the secret goes into a cookie the callback needs, so only this browser can finish.
+    redirectToOAuth(req, res, provider, start) {
+        let url, browserSecret;
+        try {
+            ({ url, browserSecret } = start());
+        } catch (error) {
+            if (error.code !== 'TOO_MANY_PENDING') throw error;
+            return res.status(429).send(oauthPage({ title: 'Try again later', ok: false, message: error.message }));
+        }
+
+        res.cookie(`oauth_${provider}`, browserSecret, {
+            httpOnly: true,
+            sameSite: 'lax',            // Sent on the provider's top-level redirect back
+            secure: this.publicUrl(req).startsWith('https:'),
+            path: `/oauth/${provider}/callback`,
+            maxAge: OAUTH_COOKIE_MAX_AGE
+        });
+        res.redirect(303, url);
+    }
+
+    // The browser secret set by redirectToOAuth, cleared so it is used once
+    takeOAuthCookie(req, res, provider) {
+        res.clearCookie(`oauth_${provider}`, { path: `/oauth/${provider}/callback` });
+        return readCookie(req, `oauth_${provider}`);
+    }
+
+    // This bridge's external URL, for OAuth redirects. Railway terminates TLS in front of
+    // the app, so the scheme comes from X-Forwarded-Proto unless PUBLIC_URL is set.
+    publicUrl(req) {
+        if (process.env.PUBLIC_URL) return process.env.PUBLIC_URL.replace(/\/+$/, '');
+        return `${req.headers['x-forwarded-proto'] || req.protocol}://${req.get('host')}`;
+    }
+
+    // The caller's Strava credentials: X-Strava-* headers, or the athlete they connected
+    // through /oauth/strava/start for the API key in X-API-Key. Null when neither is there.
+    async stravaCredentials(req) {
+        const apiKey = req.headers['x-api-key'];
+        return stravaCredentialsFromHeaders(req.headers)
+            || (this.isIssuedApiKey(apiKey) ? await this.stravaOAuth.credentials(apiKey) : null);
+    }
+
+    // The caller's Google credentials: X-Google-* headers, or the account they connected
+    // through /oauth/google/start for the API key in X-API-Key. Null when neither is there.
+    async googleCredentials(req) {
+        const clientId = req.headers['x-google-client-id'];
+        const clientSecret = req.headers['x-google-client-secret'];
+        const refreshToken = req.headers['x-google-refresh-token'];
+        if (clientId && clientSecret && refreshToken) {
+            return { clientId, clientSecret, refreshToken };
+        }
+        const apiKey = req.headers['x-api-key'];
+        return this.isIssuedApiKey(apiKey) ? await this.googleOAuth.credentials(apiKey) : null;
+    }
+
+    addMCPProtocolEndpoints() {
+        // Strava MCP Server Endpoint
+        this.stravaMCPEndpoint = new StreamableHTTPEndpoint({
+            name: 'Strava',
+            handleMessage: (message, context) => this.handleStravaMCPMessage(message, context)
+        }).mount(this.app, '/mcp/strava');
+
+        // Google Calendar MCP Server Endpoint
+        this.calendarMCPEndpoint = new StreamableHTTPEndpoint({
+            name: 'Calendar',
+            handleMessage: (message, context) => this.handleCalendarMCPMessage(message, context)
+        }).mount(this.app, '/mcp/calendar');
+
+        // Aggregated endpoint: every backend's tools, namespaced, behind one URL
+        const aggregator = new MCPAggregator({
+            name: 'mcp-bridge',
+            version: '1.0.0',
+            getBackends: () => this.mcpBackends()
+        });
+        this.aggregatedMCPEndpoint = new StreamableHTTPEndpoint({
+            name: 'Bridge',
+            handleMessage: (message, context) => aggregator.handleMessage(message, context)
+        }).mount(this.app, '/mcp');
+    }
+
+    // Backends behind /mcp, one per registered MCP client. Clients without an
+    // entry here can't be called with the caller's own credentials.
+    mcpBackends() {
+        const backends = {
+            'strava': {
+                namespace: 'strava',
+                tools: STRAVA_TOOLS,
+                credentialHeaders: ['X-Strava-Token', 'X-Strava-Refresh-Token', 'X-Strava-Client-Id', 'X-Strava-Client-Secret', 'X-API-Key'],
+                getCredentials: (req) => this.stravaCredentials(req),
+                callTool: (name, args, credentials, options) =>
+                    this.callStravaToolWithUserCredentials(name, args, credentials, options),
+                complete: (params, credentials) =>
+                    complete(params, { tools: STRAVA_TOOLS, sources: this.stravaCompletionSources(credentials) })
+            },
+            'google-calendar': {
+                namespace: 'gcal',
+                tools: CALENDAR_TOOLS,
+                credentialHeaders: ['X-Google-Client-Id', 'X-Google-Client-Secret', 'X-Google-Refresh-Token', 'X-API-Key'],
+                getCredentials: (req) => this.googleCredentials(req),
+                callTool: (name, args, { clientId, clientSecret, refreshToken }, options) =>
+                    this.callCalendarToolWithUserCredentials(name, args, clientId, clientSecret, refreshToken, options),
+                complete: (params, { clientId, clientSecret, refreshToken }) =>
+                    complete(params, {
+                        tools: CALENDAR_TOOLS,
+                        sources: this.calendarCompletionSources(clientId, clientSecret, refreshToken)
+                    })
+            }
+        };
+
+        return Array.from(this.mcpClients.keys()).map(name => ({
+            name,
+            namespace: name,
+            credentialHeaders: [],
+            ...backends[name]
+        }));
+    }
+
+    async handleStravaMCPMessage({ method, params }, { req, protocolVersion, signal, sendProgress, sendLog }) {
+        // Get user's Strava token (or refresh token) from headers
+        const stravaToken = await this.stravaCredentials(req);
+        if (!stravaToken && !UNAUTHENTICATED_MCP_METHODS.has(method)) {
+            throw new MCPError(JSONRPC_ERRORS.UNAUTHORIZED, 'Missing Strava credentials: send an access token in X-Strava-Token or a refresh token in X-Strava-Refresh-Token, or connect Strava at /oauth/strava/start and send X-API-Key', { status: 401 });
+        }
+
+        switch (method) {
+            case 'initialize':
+                return buildInitializeResult(protocolVersion, {
+                    name: 'remote-strava-mcp-server',
+                    title: 'Strava',
+                    version: '1.0.0',
+                    capabilities: { tools: {}, resources: {}, prompts: {}, logging: {}, completions: {} }
+                });
+
+            case 'tools/list':
+                return listTools(STRAVA_TOOLS, protocolVersion);
+
+            case 'tools/call':
+                const { name, args } = toolCallParams(params);
+                return formatToolResult(await this.callStravaToolWithUserCredentials(name, args, stravaToken, {
+                    signal,
+                    onProgress: sendProgress,
+                    log: sendLog
+                }), protocolVersion);
+
+            case 'resources/list':
+                return await this.listStravaResources(params?.cursor, stravaToken);
+
+            case 'resources/templates/list':
+                return { resourceTemplates: STRAVA_RESOURCE_TEMPLATES };
+
+            case 'resources/read':
+                return await this.readStravaResource(params?.uri, stravaToken);
+
+            case 'prompts/list':
+                return listPrompts('strava');
+
+            case 'prompts/get':
+                return await getPrompt('strava', params?.name, params?.arguments, await this.promptSources(req));
+
+            case 'completion/complete':
+                return await complete(params, {
+                    tools: STRAVA_TOOLS,
+                    prompts: listPrompts('strava').prompts,
+                    resourceTemplates: STRAVA_RESOURCE_TEMPLATES,
+                    sources: this.stravaCompletionSources(stravaToken)
+                });
+
             default:
-                throw new Error(`Unknown Strava tool: ${toolName}`);
+                throw new MCPError(JSONRPC_ERRORS.METHOD_NOT_FOUND, `Method not found: ${method}`, { status: 400 });
         }
-        
-        return new Promise((resolve, reject) => {
-            const url = `${baseUrl}${endpoint}${queryParams}`;
-            
-            https.request(url, {
-                headers: {
-                    'Authorization': `Bearer ${userToken}`,
-                    'Accept': 'application/json'
-                }
-            }, (res) => {
-                let data = '';
-                res.on('data', chunk => data += chunk);
-                res.on('end', () => {
-                    try {
-                        const jsonData = JSON.parse(data);
-                        
-                        if (res.statusCode >= 400) {
-                            reject(new Error(`Strava API error: ${res.statusCode} ${jsonData.message || 'Unknown error'}`));
-                        } else {
-                            resolve({
-                                content: [{
-                                    type: 'text',
-                                    text: JSON.stringify(jsonData, null, 2)
-                                }]
-                            });
-                        }
-                    } catch (error) {
-                        reject(new Error(`Failed to parse Strava response: ${error.message}`));
-                    }
+    }
+
+    async handleCalendarMCPMessage({ method, params }, { req, protocolVersion, signal, sendProgress, sendLog }) {
+        const { clientId: googleClientId, clientSecret: googleClientSecret, refreshToken: googleRefreshToken } =
+            await this.googleCredentials(req) || {};
+
+        if (!googleRefreshToken) {
+            if (!UNAUTHENTICATED_MCP_METHODS.has(method)) {
+                throw new MCPError(
+                    JSONRPC_ERRORS.UNAUTHORIZED,
+                    'Missing Google credentials: send X-Google-Client-Id, X-Google-Client-Secret and X-Google-Refresh-Token, or connect Google at /oauth/google/start and send X-API-Key',
+                    { status: 401 }
+                );
+            }
+        }
+
+        switch (method) {
+            case 'initialize':
+                return buildInitializeResult(protocolVersion, {
+                    name: 'remote-google-calendar-mcp-server',
+                    title: 'Google Calendar',
+                    version: '1.0.0',
+                    capabilities: { tools: {}, resources: {}, prompts: {}, logging: {}, completions: {} }
                 });
-            }).on('error', reject).end();
-        });
+
+            case 'tools/list':
+                return listTools(CALENDAR_TOOLS, protocolVersion);
+
+            case 'tools/call':
+                const { name, args } = toolCallParams(params);
+                return formatToolResult(await this.callCalendarToolWithUserCredentials(
+                    name,
+                    args,
+                    googleClientId,
+                    googleClientSecret,
+                    googleRefreshToken,
+                    { signal, onProgress: sendProgress, log: sendLog }
+                ), protocolVersion);
+
+            case 'resources/list':
+                return await this.listCalendarResources(googleClientId, googleClientSecret, googleRefreshToken);
+
+            case 'resources/templates/list':
+                return { resourceTemplates: CALENDAR_RESOURCE_TEMPLATES };
+
+            case 'resources/read':
+                return await this.readCalendarResource(params?.uri, googleClientId, googleClientSecret, googleRefreshToken);
+
+            case 'prompts/list':
+                return listPrompts('calendar');
+
+            case 'prompts/get':
+                return await getPrompt('calendar', params?.name, params?.arguments, await this.promptSources(req));
+
+            case 'completion/complete':
+                return await complete(params, {
+                    tools: CALENDAR_TOOLS,
+                    prompts: listPrompts('calendar').prompts,
+                    resourceTemplates: CALENDAR_RESOURCE_TEMPLATES,
+                    sources: this.calendarCompletionSources(googleClientId, googleClientSecret, googleRefreshToken)
+                });
+
+            default:
+                throw new MCPError(JSONRPC_ERRORS.METHOD_NOT_FOUND, `Method not found: ${method}`, { status: 400 });
+        }
     }
 
-    // Google Calendar API calls with user's credentials
-    async callCalendarToolWithUserCredentials(toolName, parameters, clientId, clientSecret, refreshToken) {
-        const { OAuth2Client } = require('google-auth-library');
-        const { google } = require('googleapis');
-        
-        const oauth2Client = new OAuth2Client(clientId, clientSecret);
-        oauth2Client.setCredentials({ refresh_token: refreshToken });
-        
-        const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
-        
-        try {
-            switch (toolName) {
-                case 'list_gcal_calendars':
-                    const calendars = await calendar.calendarList.list({
-                        pageToken: parameters.page_token
-                    });
-                    return {
-                        content: [{
-                            type: 'text',
-                            text: JSON.stringify(calendars.data.items || [], null, 2)
-                        }]
-                    };
-                    
-                case 'list_gcal_events':
-                    const events = await calendar.events.list({
-                        calendarId: parameters.calendar_id || 'primary',
-                        timeMin: parameters.time_min,
-                        timeMax: parameters.time_max,
-                        maxResults: parameters.max_results || 25,
-                        pageToken: parameters.page_token,
-                        q: parameters.query,
-                        timeZone: parameters.time_zone,
-                        singleEvents: true,
-                        orderBy: 'startTime'
-                    });
-                    return {
-                        content: [{
-                            type: 'text',
-                            text: JSON.stringify(events.data.items || [], null, 2)
-                        }]
-                    };
-                    
-                case 'fetch_gcal_event':
-                    const event = await calendar.events.get({
-                        calendarId: parameters.calendar_id,
-                        eventId: parameters.event_id
-                    });
-                    return {
-                        content: [{
-                            type: 'text',
-                            text: JSON.stringify(event.data, null, 2)
-                        }]
-                    };
-                    
-                case 'search_gcal_events':
-                    const searchEvents = await calendar.events.list({
-                        calendarId: parameters.calendar_id,
-                        q: parameters.query,
-                        timeMin: parameters.time_min,
-                        timeMax: parameters.time_max,
-                        singleEvents: true,
-                        orderBy: 'startTime'
-                    });
-                    return {
-                        content: [{
-                            type: 'text',
-                            text: JSON.stringify(searchEvents.data.items || [], null, 2)
-                        }]
-                    };
-                    
-                case 'create_gcal_event':
-                    const newEvent = {
-                        summary: parameters.summary,
-                        description: parameters.description,
-                        location: parameters.location,
-                        start: {
-                            dateTime: parameters.start,
-                            timeZone: parameters.time_zone
-                        },
-                        end: {
-                            dateTime: parameters.end,
-                            timeZone: parameters.time_zone
-                        }
-                    };
-                    
-                    if (parameters.attendees) {
-                        newEvent.attendees = parameters.attendees;
-                    }
-                    
-                    const createdEvent = await calendar.events.insert({
-                        calendarId: parameters.calendar_id || 'primary',
-                        requestBody: newEvent
-                    });
-                    
-                    return {
-                        content: [{
-                            type: 'text',
-                            text: JSON.stringify(createdEvent.data, null, 2)
-                        }]
-                    };
-                    
-                case 'update_gcal_event':
-                    const updateEvent = {};
-                    
-                    if (parameters.summary) updateEvent.summary = parameters.summary;
-                    if (parameters.description) updateEvent.description = parameters.description;
-                    if (parameters.location) updateEvent.location = parameters.location;
-                    if (parameters.attendees) updateEvent.attendees = parameters.attendees;
-                    
-                    if (parameters.start) {
-                        updateEvent.start = {
-                            dateTime: parameters.start,
-                            timeZone: parameters.time_zone
-                        };
-                    }
-                    
-                    if (parameters.end) {
-                        updateEvent.end = {
-                            dateTime: parameters.end,
-                            timeZone: parameters.time_zone
-                        };
-                    }
-                    
-                    const updatedEvent = await calendar.events.update({
-                        calendarId: parameters.calendar_id,
-                        eventId: parameters.event_id,
-                        requestBody: updateEvent
-                    });
-                    
-                    return {
-                        content: [{
-                            type: 'text',
-                            text: JSON.stringify(updatedEvent.data, null, 2)
-                        }]
-                    };
-                    
-                case 'delete_gcal_event':
-                    await calendar.events.delete({
-                        calendarId: parameters.calendar_id,
-                        eventId: parameters.event_id
-                    });
-                    
-                    return {
-                        content: [{
-                            type: 'text',
-                            text: JSON.stringify({ success: true, message: 'Event deleted successfully' }, null, 2)
-                        }]
-                    };
-                    
-                case 'find_free_time':
-                    const freeBusyQuery = {
-                        timeMin: parameters.time_min,
-                        timeMax: parameters.time_max,
-                        timeZone: parameters.time_zone,
-                        items: parameters.calendar_ids.map(id => ({ id }))
-                    };
-                    
-                    const freeBusy = await calendar.freebusy.query({
-                        requestBody: freeBusyQuery
-                    });
-                    
-                    return {
-                        content: [{
-                            type: 'text',
-                            text: JSON.stringify(freeBusy.data, null, 2)
-                        }]
-                    };
-                    
-                default:
-                    throw new Error(`Unknown Calendar tool: ${toolName}`);
+    // Data sources for prompts/get, one per service the caller sent credentials for.
+    // Prompts may use a second service's data when the client sends both sets of headers.
+    async promptSources(req) {
+        const sources = {
+            timeframe: {
+                start: (timeframe) => this.getTimeframeStart(timeframe),
+                end: (timeframe) => this.getTimeframeEnd(timeframe)
             }
-        } catch (error) {
-            throw new Error(`Google Calendar API error: ${error.message}`);
+        };
+
+        const stravaToken = await this.stravaCredentials(req);
+        if (stravaToken) {
+            sources.strava = async (toolName, args) =>
+                this.parseStravaResponse(await this.callStravaToolWithUserCredentials(toolName, args, stravaToken));
         }
+
+        const google = await this.googleCredentials(req);
+        if (google) {
+            sources.calendar = async (toolName, args) => this.parseCalendarResponse(
+                await this.callCalendarToolWithUserCredentials(toolName, args, google.clientId, google.clientSecret, google.refreshToken)
+            );
+        }
+
+        return sources;
+    }
+
+    // Completion candidates for activity_id: the athlete's recent activities, matchable by name
+    stravaCompletionSources(credentials) {
+        return {
+            activity: async () => {
+                const result = await this.callStravaToolWithUserCredentials('get_athlete_activities', { per_page: 100 }, credentials);
+                return result.structuredContent.activities.map(activity => ({ value: String(activity.id), label: activity.name }));
+            }
+        };
+    }
+
+    // Completion candidates for calendar IDs, matchable by calendar name
+    calendarCompletionSources(clientId, clientSecret, refreshToken) {
+        return {
+            calendar: async () => {
+                const result = await this.callCalendarToolWithUserCredentials('list_gcal_calendars', {}, clientId, clientSecret, refreshToken);
+                const calendars = result.structuredContent.calendars.map(calendar => ({ value: calendar.id, label: calendar.summary }));
+                return [{ value: 'primary', label: 'Primary calendar' }, ...calendars];
+            }
+        };
+    }
+
+    // Strava resources: the athlete's profile and stats, then pages of recent activities
+    async listStravaResources(cursor, credentials) {
+        const page = parseInt(cursor, 10) || 1;
+        const result = await this.callStravaToolWithUserCredentials('get_athlete_activities', {
+            page,
+            per_page: RESOURCE_PAGE_SIZE
+        }, credentials);
+        const { activities } = this.parseStravaResponse(result);
+
+        const resources = page === 1 ? [...STRAVA_RESOURCES] : [];
+        resources.push(...activities.map(stravaActivityResource));
+
+        const response = { resources };
+        if (activities.length === RESOURCE_PAGE_SIZE) {
+            response.nextCursor = String(page + 1);
+        }
+        return response;
+    }
+
+    async readStravaResource(uri, credentials) {
+        const resource = resolveStravaResource(uri);
+        if (!resource) {
+            throw new MCPError(JSONRPC_ERRORS.RESOURCE_NOT_FOUND, `Resource not found: ${uri}`, { status: 404, data: { uri } });
+        }
+
+        const result = await this.callStravaToolWithUserCredentials(resource.tool, resource.args, credentials);
+        return resourceContents(uri, this.parseStravaResponse(result));
+    }
+
+    // Calendar resources: the calendar list plus this week's events in the primary calendar
+    async listCalendarResources(clientId, clientSecret, refreshToken) {
+        const result = await this.callCalendarToolWithUserCredentials('list_gcal_events', {
+            calendar_id: 'primary',
+            time_min: new Date().toISOString(),
+            time_max: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(),
+            max_results: 50
+        }, clientId, clientSecret, refreshToken);
+        const { events } = this.parseCalendarResponse(result);
+
+        return {
+            resources: [
+                ...CALENDAR_RESOURCES,
+                ...events.map(event => calendarEventResource('primary', event))
+            ]
+        };
+    }
+
+    async readCalendarResource(uri, clientId, clientSecret, refreshToken) {
+        const resource = resolveCalendarResource(uri);
+        if (!resource) {
+            throw new MCPError(JSONRPC_ERRORS.RESOURCE_NOT_FOUND, `Resource not found: ${uri}`, { status: 404, data: { uri } });
+        }
+
+        const result = await this.callCalendarToolWithUserCredentials(
+            resource.tool,
+            resource.args,
+            clientId,
+            clientSecret,
+            refreshToken
+        );
+        return resourceContents(uri, this.parseCalendarResponse(result));
+    }
+
+    // Strava tool call with the user's credentials (see stravaCredentials); options as
+    // for StravaProvider.callTool. Rotated refresh tokens are kept in the token store.
+    async callStravaToolWithUserCredentials(toolName, parameters, credentials, options = {}) {
+        return await new StravaProvider(credentials, { tokenStore: this.tokenStore }).callTool(toolName, parameters, options);
+    }
+
+    // Google Calendar tool call with the user's credentials; destructive tools need
+    // confirming unless CONFIRM_DESTRUCTIVE_TOOLS=false
+    async callCalendarToolWithUserCredentials(toolName, parameters, clientId, clientSecret, refreshToken, options = {}) {
+        const provider = new CalendarProvider({ clientId, clientSecret, refreshToken }, {
+            confirmations: this.confirmDestructiveTools ? this.confirmations : null
+        });
+        return await provider.callTool(toolName, parameters, options);
     }
 
     async initializeMCPClients() {
         console.log('🔧 Initializing Railway MCP clients...');
         
         // Initialize Strava client
-        const stravaClient = new HTTPMCPClient('strava', 'https://www.strava.com/api/v3');
-        await stravaClient.connect();
+        // A refresh token lets the bridge renew the access token itself
+        const stravaClient = new HTTPMCPClient('strava', new StravaProvider({
+            accessToken: process.env.STRAVA_ACCESS_TOKEN,
+            refreshToken: process.env.STRAVA_REFRESH_TOKEN,
+            clientId: process.env.STRAVA_CLIENT_ID,
+            clientSecret: process.env.STRAVA_CLIENT_SECRET
+        }, { tokenStore: this.tokenStore }));
         this.mcpClients.set('strava', stravaClient);
 
         // Initialize Google Calendar client  
-        const calendarClient = new HTTPMCPClient('google-calendar', 'https://www.googleapis.com/calendar/v3');
-        await calendarClient.connect();
+        const calendarClient = new HTTPMCPClient('google-calendar', new CalendarProvider({
+            clientId: process.env.GOOGLE_CLIENT_ID,
+            clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+            refreshToken: process.env.GOOGLE_REFRESH_TOKEN
+        }));
         this.mcpClients.set('google-calendar', calendarClient);
 
+        // Both APIs are probed at once so a slow one doesn't hold up startup
+        await Promise.all([stravaClient.connect(), calendarClient.connect()]);
+
+        for (const client of this.mcpClients.values()) {
+            client.startProbes(HEALTH_PROBE_INTERVAL);
+        }
+
         const connectedCount = Array.from(this.mcpClients.values()).filter(c => c.connected).length;
         console.log(`✅ Successfully initialized ${connectedCount}/${this.mcpClients.size} MCP clients`);
     }
 
     parseStravaResponse(result) {
+        // Tools called with the user's credentials return typed data directly
+        if (result && result.structuredContent) {
+            return result.structuredContent;
+        }
+
         if (result && result.content && Array.isArray(result.content)) {
             const contentText = result.content.find(c => c.type === 'text')?.text;
             if (contentText) {
@@ -1052,6 +1079,11 @@ class MCPBridgeService {
     }
 
     parseCalendarResponse(result) {
+        // Tools called with the user's credentials return typed data directly
+        if (result && result.structuredContent) {
+            return result.structuredContent;
+        }
+
         if (result && result.content && Array.isArray(result.content)) {
             const contentText = result.content.find(c => c.type === 'text')?.text;
             if (contentText) {
@@ -1075,7 +1107,7 @@ class MCPBridgeService {
                 lowerMessage.includes('run') || lowerMessage.includes('miles')) {
                 
                 const result = await this.callMCPFunction('strava', 'get_athlete_activities', { per_page: 10 });
-                const activities = this.parseStravaResponse(result);
+                const { activities } = this.parseStravaResponse(result);
                 
                 if (Array.isArray(activities) && activities.length > 0) {
                     const totalDistance = activities.reduce((sum, a) => sum + (a.distance || 0), 0);
@@ -1096,13 +1128,13 @@ class MCPBridgeService {
             if (lowerMessage.includes('calendar') || lowerMessage.includes('meeting') || 
                 lowerMessage.includes('schedule')) {
                 
-                const result = await this.callMCPFunction('google-calendar', 'list-events', {
-                    calendarId: 'primary',
-                    timeMin: this.getTimeframeStart('today'),
-                    timeMax: this.getTimeframeEnd('today')
+                const result = await this.callMCPFunction('google-calendar', 'list_gcal_events', {
+                    calendar_id: 'primary',
+                    time_min: this.getTimeframeStart('today'),
+                    time_max: this.getTimeframeEnd('today')
                 });
                 
-                const events = this.parseCalendarResponse(result);
+                const { events } = this.parseCalendarResponse(result);
                 
                 if (Array.isArray(events) && events.length > 0) {
                     const eventList = events.slice(0, 3).map(e => e.summary || 'Untitled').join(', ');
@@ -1138,10 +1170,7 @@ class MCPBridgeService {
             throw new Error(`MCP server '${serverName}' not found`);
         }
 
-        if (!client.connected) {
-            throw new Error(`MCP server '${serverName}' not connected`);
-        }
-
+        // Not refused when the last probe failed; the call itself may well succeed
         return await client.callTool(functionName, parameters);
     }
 
@@ -4,125 +4,174 @@ require('dotenv').config();
 
 const express = require('express');
 const cors = require('cors');
-const { spawn } = require('child_process');
 const crypto = require('crypto');
+const EventEmitter = require('events');
 const fs = require('fs').promises;
 const path = require('path');
-
-class MCPClient {
-    constructor(serverConfig) {
+const { pathToFileURL } = require('url');
+const { isDeepStrictEqual } = require('util');
+const { JSONRPC_ERRORS, MCPError, SUPPORTED_PROTOCOL_VERSIONS, LATEST_PROTOCOL_VERSION } = require('./mcp-protocol');
+const { MCPSupervisor } = require('./mcp-supervisor');
+const { createClientTransport } = require('./mcp-client-transports');
+const { ConfigError, findConfigFile, loadConfig, watchConfig } = require('./bridge-config');
+
+// Events:
+//   'exit' ({ code, signal, reason }) - the server process or connection went away
+//   'notification' (message)          - any notification from the server
+//   'toolsChanged' (tools)            - the tool list was refreshed after list_changed
+class MCPClient extends EventEmitter {
+    // `requestHandlers` answers server-initiated requests the bridge supports beyond
+    // ping and roots/list, e.g. { 'sampling/createMessage': async (params, { signal }) => result }
+    constructor(serverConfig, { requestHandlers = {} } = {}) {
+        super();
         this.config = serverConfig;
-        this.process = null;
+        this.requestHandlers = requestHandlers;
+        this.transport = null;
         this.connected = false;
         this.requestId = 1;
         this.pendingRequests = new Map();
+        this.progressHandlers = new Map(); // progressToken -> onProgress callback
+        this.serverRequests = new Map();   // id of a request from the server -> AbortController
         this.tools = [];
+        this.protocolVersion = null;
+        this.serverCapabilities = {};
+        this.serverInfo = null;
+    }
+
+    get pid() {
+        return this.transport?.pid || null;
     }
 
     async connect() {
-        return new Promise((resolve, reject) => {
-            try {
-                console.log(`Connecting to MCP server with command: ${this.config.command} ${this.config.args.join(' ')}`);
-                
-                // Spawn the MCP server process
-                this.process = spawn(this.config.command, this.config.args, {
-                    stdio: ['pipe', 'pipe', 'pipe'],
-                    env: { ...process.env, ...this.config.env }
-                });
+        let connectionTimeout;
+        const timeout = new Promise((_, reject) => {
+            connectionTimeout = setTimeout(() => {
+                console.error(`Connection timeout for MCP server`);
+                reject(new Error('Connection timeout'));
+            }, this.config.connectTimeout || 60000); // 60 second timeout for initial connection by default
+        });
 
-                let buffer = '';
-                let connectionTimeout;
-                
-                // Set a connection timeout
-                connectionTimeout = setTimeout(() => {
-                    console.error(`Connection timeout for MCP server`);
-                    this.cleanup();
-                    reject(new Error('Connection timeout'));
-                }, 60000); // 60 second timeout for initial connection
-                
-                this.process.stdout.on('data', (data) => {
-                    buffer += data.toString();
-                    
-                    // Process complete JSON messages
-                    const lines = buffer.split('\n');
-                    buffer = lines.pop() || ''; // Keep incomplete line in buffer
-                    
-                    for (const line of lines) {
-                        if (line.trim()) {
-                            try {
-                                const message = JSON.parse(line);
-                                this.handleMessage(message);
-                            } catch (error) {
-                                console.error('Failed to parse MCP message:', error, line);
-                            }
-                        }
-                    }
-                });
+        try {
+            await Promise.race([this.initialize(), timeout]);
+        } catch (error) {
+            this.cleanup();
+            throw error;
+        } finally {
+            clearTimeout(connectionTimeout);
+        }
+    }
 
-                this.process.stderr.on('data', (data) => {
-                    console.error(`MCP server stderr: ${data}`);
-                });
+    // Spawned process or remote URL, depending on the server's config entry
+    openTransport(config) {
+        const transport = createClientTransport(config, {
+            onMessage: (message) => this.handleMessage(message),
+            onClose: (exit) => {
+                if (this.transport === transport) this.handleClose(exit);
+            }
+        });
+        this.transport = transport;
+        console.log(`Connecting to MCP server with ${transport.describe()}`);
+    }
 
-                this.process.on('close', (code) => {
-                    console.log(`MCP server exited with code ${code}`);
-                    this.connected = false;
-                    clearTimeout(connectionTimeout);
-                });
+    async initialize() {
+        // Offer our newest protocol revision
+        const initializeParams = {
+            protocolVersion: LATEST_PROTOCOL_VERSION,
+            capabilities: this.clientCapabilities(),
+            clientInfo: {
+                name: 'voice-agent-bridge',
+                version: '1.0.0'
+            }
+        };
 
-                this.process.on('error', (error) => {
-                    console.error('MCP server error:', error);
-                    clearTimeout(connectionTimeout);
-                    reject(error);
-                });
+        this.openTransport(this.config);
+        await this.transport.start();
 
-                // Initialize the MCP connection
-                this.sendRequest('initialize', {
-                    protocolVersion: '2024-11-05',
-                    capabilities: {
-                        tools: {}
-                    },
-                    clientInfo: {
-                        name: 'voice-agent-bridge',
-                        version: '1.0.0'
-                    }
-                }).then(async (result) => {
-                    clearTimeout(connectionTimeout);
-                    console.log('MCP server initialized:', result);
-                    
-                    // List available tools
-                    try {
-                        const toolsResult = await this.sendRequest('tools/list', {});
-                        this.tools = toolsResult.tools || [];
-                        console.log(`Found ${this.tools.length} tools:`, this.tools.map(t => t.name));
-                    } catch (error) {
-                        console.error('Failed to list tools:', error);
-                    }
-                    
-                    this.connected = true;
-                    resolve();
-                }).catch((error) => {
-                    clearTimeout(connectionTimeout);
-                    reject(error);
-                });
+        let result;
+        try {
+            result = await this.sendRequest('initialize', initializeParams);
+        } catch (error) {
+            if (error.code !== 'TRY_LEGACY_SSE') throw error;
+
+            // Servers from before Streamable HTTP only speak the older HTTP+SSE transport
+            console.log(`${error.message}; falling back to legacy SSE`);
+            this.transport.close();
+            this.openTransport({ ...this.config, type: 'sse' });
+            await this.transport.start();
+            result = await this.sendRequest('initialize', initializeParams);
+        }
+        console.log('MCP server initialized:', result);
 
-            } catch (error) {
-                reject(error);
-            }
-        });
+        // The server may answer with an older revision; give up if we don't speak it
+        if (!SUPPORTED_PROTOCOL_VERSIONS.includes(result.protocolVersion)) {
+            throw new Error(`Unsupported protocol version: ${result.protocolVersion}`);
+        }
+
+        this.protocolVersion = result.protocolVersion;
+        this.serverCapabilities = result.capabilities || {};
+        this.serverInfo = result.serverInfo || null;
+        this.transport.setProtocolVersion(result.protocolVersion);
+        this.sendNotification('notifications/initialized');
+
+        // List available tools
+        try {
+            const toolsResult = await this.sendRequest('tools/list', {});
+            this.tools = toolsResult.tools || [];
+            console.log(`Found ${this.tools.length} tools:`, this.tools.map(t => t.name));
+        } catch (error) {
+            console.error('Failed to list tools:', error);
+        }
+
+        this.connected = true;
     }
 
-    cleanup() {
-        if (this.process) {
-            this.process.kill('SIGTERM');
-            setTimeout(() => {
-                if (this.process && !this.process.killed) {
-                    this.process.kill('SIGKILL');
-                }
-            }, 5000);
+    // Only advertise what we can answer when the server asks
+    clientCapabilities() {
+        const capabilities = { tools: {} };
+        if (this.config.roots) {
+            capabilities.roots = { listChanged: false };
+        }
+        if (this.requestHandlers['sampling/createMessage']) {
+            capabilities.sampling = {};
+        }
+        return capabilities;
+    }
+
+    // The process exited or the remote connection was lost
+    handleClose({ code, signal, reason }) {
+        this.connected = false;
+
+        // Nothing in flight will ever be answered now
+        const exitError = new Error(reason
+            ? `MCP server connection lost: ${reason}`
+            : `MCP server exited with code ${code}${signal ? ` (${signal})` : ''}`);
+        exitError.code = 'SERVER_EXITED';
+        for (const { reject } of this.pendingRequests.values()) {
+            reject(exitError);
+        }
+        for (const controller of this.serverRequests.values()) {
+            controller.abort(exitError.message);
         }
+
+        this.emit('exit', { code, signal, reason });
+    }
+
+    cleanup() {
+        this.transport?.close();
     }
 
     handleMessage(message) {
+        // Requests from the server can reuse ids we picked, so check for a method first
+        if (message.method && message.id !== undefined) {
+            this.handleServerRequest(message);
+            return;
+        }
+
+        if (message.method) {
+            this.handleNotification(message);
+            return;
+        }
+
         if (message.id && this.pendingRequests.has(message.id)) {
             const { resolve, reject } = this.pendingRequests.get(message.id);
             this.pendingRequests.delete(message.id);
@@ -135,13 +184,115 @@ class MCPClient {
         }
     }
 
-    sendRequest(method, params = {}) {
+    handleNotification(message) {
+        const params = message.params || {};
+
+        switch (message.method) {
+            case 'notifications/progress': {
+                const onProgress = this.progressHandlers.get(params.progressToken);
+                if (onProgress) {
+                    onProgress(params);
+                }
+                break;
+            }
+
+            case 'notifications/tools/list_changed':
+                this.refreshTools();
+                break;
+
+            case 'notifications/message':
+                console.log(`📝 MCP server log (${params.level}${params.logger ? `, ${params.logger}` : ''}):`,
+                    typeof params.data === 'string' ? params.data : JSON.stringify(params.data));
+                break;
+
+            case 'notifications/cancelled':
+                // The server gave up on something it asked us
+                this.serverRequests.get(params.requestId)?.abort(params.reason || 'Cancelled by server');
+                break;
+        }
+
+        this.emit('notification', message);
+    }
+
+    async refreshTools() {
+        try {
+            const toolsResult = await this.sendRequest('tools/list', {});
+            this.tools = toolsResult.tools || [];
+            console.log(`🔄 Tool list changed, now ${this.tools.length} tools:`, this.tools.map(t => t.name));
+            this.emit('toolsChanged', this.tools);
+        } catch (error) {
+            console.error('Failed to refresh tools:', error);
+        }
+    }
+
+    async handleServerRequest({ id, method, params }) {
+        const controller = new AbortController();
+        this.serverRequests.set(id, controller);
+
+        let response;
+        try {
+            const result = await this.answerServerRequest(method, params || {}, controller.signal);
+            response = { jsonrpc: '2.0', id, result };
+        } catch (error) {
+            console.error(`Failed to answer MCP server request ${method}:`, error.message);
+            const mcpError = error instanceof MCPError
+                ? error
+                : new MCPError(JSONRPC_ERRORS.INTERNAL_ERROR, error.message);
+            response = { jsonrpc: '2.0', id, error: mcpError.toJSON() };
+        } finally {
+            this.serverRequests.delete(id);
+        }
+
+        // A cancelled request must not be answered
+        if (controller.signal.aborted || !this.transport) return;
+
+        Promise.resolve()
+            .then(() => this.transport.send(response))
+            .catch((error) => {
+                console.error(`Failed to send response to ${method}:`, error);
+            });
+    }
+
+    async answerServerRequest(method, params, signal) {
+        switch (method) {
+            case 'ping':
+                return {};
+
+            case 'roots/list':
+                if (!this.config.roots) break;
+                return {
+                    roots: this.config.roots.map(root => ({
+                        uri: pathToFileURL(root).href,
+                        name: path.basename(root)
+                    }))
+                };
+
+            default: {
+                const handler = this.requestHandlers[method];
+                if (handler) {
+                    return await handler(params, { signal });
+                }
+            }
+        }
+
+        throw new MCPError(JSONRPC_ERRORS.METHOD_NOT_FOUND, `Method not found: ${method}`);
+    }
+
+    // `onProgress(params)` receives the server's notifications/progress for this
+    // request; aborting `signal` sends notifications/cancelled and rejects.
+    // `timeout` overrides the server's request timeout for this one request.
+    sendRequest(method, params = {}, { onProgress, signal, timeout: requestTimeout } = {}) {
         return new Promise((resolve, reject) => {
-            if (!this.process) {
+            if (!this.transport) {
                 reject(new Error('MCP server not connected'));
                 return;
             }
 
+            if (signal?.aborted) {
+                reject(new Error('Request cancelled'));
+                return;
+            }
+
             const id = this.requestId++;
             const request = {
                 jsonrpc: '2.0',
@@ -150,35 +301,88 @@ class MCPClient {
                 params
             };
 
-            this.pendingRequests.set(id, { resolve, reject });
-            
-            // Set timeout for request (reduced from 30s to 15s)
-            setTimeout(() => {
-                if (this.pendingRequests.has(id)) {
-                    this.pendingRequests.delete(id);
-                    reject(new Error('Request timeout'));
-                }
-            }, 15000);
-
-            try {
-                console.log(`Sending MCP request: ${method}`);
-                this.process.stdin.write(JSON.stringify(request) + '\n');
-            } catch (error) {
+            let timeout;
+            const progressToken = `${method}-${id}`;
+            const onAbort = () => {
+                if (!this.pendingRequests.has(id)) return;
+                this.sendNotification('notifications/cancelled', { requestId: id, reason: String(signal.reason || 'Cancelled by client') });
+                settle(reject, new Error('Request cancelled'));
+            };
+            const settle = (callback, value) => {
+                clearTimeout(timeout);
                 this.pendingRequests.delete(id);
-                reject(error);
+                this.progressHandlers.delete(progressToken);
+                signal?.removeEventListener('abort', onAbort);
+                callback(value);
+            };
+
+            // Set timeout for request (15s unless configured); progress keeps it alive.
+            // The server is told to stop, as it would be for a cancelled request.
+            const timeoutMs = requestTimeout || this.config.timeout || 15000;
+            const armTimeout = () => {
+                clearTimeout(timeout);
+                timeout = setTimeout(() => {
+                    if (this.pendingRequests.has(id)) {
+                        this.sendNotification('notifications/cancelled', { requestId: id, reason: `Timed out after ${timeoutMs}ms` });
+                        const error = new Error(`Request timeout: ${method} got no reply within ${timeoutMs / 1000}s`);
+                        error.code = 'REQUEST_TIMEOUT';
+                        settle(reject, error);
+                    }
+                }, timeoutMs);
+            };
+            armTimeout();
+
+            if (onProgress) {
+                request.params = { ...params, _meta: { ...params._meta, progressToken } };
+                this.progressHandlers.set(progressToken, (progress) => {
+                    armTimeout();
+                    onProgress(progress);
+                });
             }
+
+            signal?.addEventListener('abort', onAbort);
+            this.pendingRequests.set(id, {
+                resolve: (result) => settle(resolve, result),
+                reject: (error) => settle(reject, error)
+            });
+
+            console.log(`Sending MCP request: ${method}`);
+            Promise.resolve()
+                .then(() => this.transport.send(request))
+                .catch((error) => {
+                    if (this.pendingRequests.has(id)) settle(reject, error);
+                });
         });
     }
 
-    async callTool(name, arguments_obj = {}) {
+    sendNotification(method, params) {
+        if (!this.transport) {
+            return;
+        }
+
+        const notification = { jsonrpc: '2.0', method };
+        if (params) {
+            notification.params = params;
+        }
+
+        Promise.resolve()
+            .then(() => this.transport.send(notification))
+            .catch((error) => {
+                console.error(`Failed to send MCP notification ${method}:`, error);
+            });
+    }
+
+    async callTool(name, arguments_obj = {}, options = {}) {
         if (!this.connected) {
             throw new Error('MCP server not connected');
         }
 
+        // Slow tools can be given longer than the rest of the server in the config
+        const timeout = options.timeout || this.config.toolTimeouts?.[name];
         return await this.sendRequest('tools/call', {
             name,
             arguments: arguments_obj
-        });
+        }, { ...options, timeout });
     }
 
     getTools() {
@@ -186,9 +390,9 @@ class MCPClient {
     }
 
     disconnect() {
-        if (this.process) {
-            this.process.kill();
-            this.process = null;
+        if (this.transport) {
+            this.transport.close();
+            this.transport = null;
             this.connected = false;
         }
     }
@@ -202,6 +406,11 @@ class MCPBridgeService {
         this.apiKeys = new Set();
         this.claudeApiKey = process.env.CLAUDE_API_KEY;
         this.lastQueryResult = null; // Store last query for follow-ups
+        this.eventSubscribers = new Set(); // Open /api/events streams
+        this.configFile = null;
+        this.configWatcher = null;
+        this.serverConfigs = {};           // Server name -> validated config entry
+        this.serverAliases = new Map();    // Alias -> server name
         
         this.setupMiddleware();
         this.setupRoutes();
@@ -247,15 +456,18 @@ class MCPBridgeService {
         // Health check
         this.app.get('/health', (req, res) => {
             const serverStatus = {};
-            for (const [name, client] of this.mcpClients) {
+            for (const [name, supervisor] of this.mcpClients) {
                 serverStatus[name] = {
-                    connected: client.connected,
-                    tools: client.getTools().map(t => t.name)
+                    ...supervisor.status(),
+                    tools: supervisor.getTools().map(t => t.name)
                 };
             }
             
+            // Still 200 when a server is down: the bridge itself is up and can report on it.
+            // Idle lazy servers are fine; they start on their next call.
+            const allReady = Object.values(serverStatus).every(server => ['ready', 'idle'].includes(server.state));
             res.json({ 
-                status: 'healthy', 
+                status: allReady ? 'healthy' : 'degraded', 
                 timestamp: new Date().toISOString(),
                 mcpServers: serverStatus
             });
@@ -273,28 +485,86 @@ class MCPBridgeService {
         // MCP Server discovery
         this.app.get('/api/servers', (req, res) => {
             const servers = [];
-            for (const [name, client] of this.mcpClients) {
+            for (const [name, supervisor] of this.mcpClients) {
                 servers.push({
                     name,
-                    connected: client.connected,
-                    tools: client.getTools()
+                    aliases: this.serverConfigs[name]?.aliases || [],
+                    ...supervisor.status(),
+                    tools: supervisor.getTools()
                 });
             }
+
+            // Configured but switched off with "enabled": false
+            for (const [name, server] of Object.entries(this.serverConfigs)) {
+                if (!server.enabled) {
+                    servers.push({ name, aliases: server.aliases, state: 'disabled', connected: false, tools: [] });
+                }
+            }
             
             res.json({ servers });
         });
 
+        // Live feed of MCP server notifications, tool list changes and state changes.
+        // ?server=name limits it to one server.
+        this.app.get('/api/events', (req, res) => {
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache, no-transform',
+                'Connection': 'keep-alive',
+                'X-Accel-Buffering': 'no'
+            });
+            res.flushHeaders();
+
+            const subscriber = { res, server: req.query.server || null };
+            this.eventSubscribers.add(subscriber);
+
+            // Keep proxies from closing idle streams
+            const keepalive = setInterval(() => res.write(': keepalive\n\n'), 25000);
+            req.on('close', () => {
+                clearInterval(keepalive);
+                this.eventSubscribers.delete(subscriber);
+            });
+        });
+
+        // Restart an MCP server by hand, e.g. after fixing whatever made it crash-loop
+        this.app.post('/api/servers/:serverName/restart', async (req, res) => {
+            const supervisor = this.getServer(req.params.serverName);
+            if (!supervisor) {
+                return res.status(404).json({ error: `MCP server '${req.params.serverName}' not found` });
+            }
+
+            const ready = await supervisor.restart();
+            res.status(ready ? 200 : 503).json({ name: supervisor.name, ...supervisor.status() });
+        });
+
         // Direct MCP function calls
         this.app.post('/api/mcp/:serverName/:functionName', async (req, res) => {
             try {
                 const { serverName, functionName } = req.params;
                 const { parameters = {} } = req.body;
                 
-                const result = await this.callMCPFunction(serverName, functionName, parameters);
+                // Stop the tool call if the caller goes away before it finishes
+                const controller = new AbortController();
+                res.on('close', () => {
+                    if (!res.writableFinished) controller.abort('HTTP client disconnected');
+                });
+                
+                const result = await this.callMCPFunction(serverName, functionName, parameters, {
+                    signal: controller.signal,
+                    onProgress: ({ progress, total, message }) => {
+                        console.log(`⏳ ${serverName}.${functionName}: ${progress}${total ? `/${total}` : ''}${message ? ` ${message}` : ''}`);
+                    }
+                });
                 res.json({ result });
             } catch (error) {
                 console.error('MCP function call error:', error);
-                res.status(500).json({ error: error.message });
+                // Tell callers to back off rather than retry straight into a full queue
+                if (error.code === 'QUEUE_FULL') {
+                    res.set('Retry-After', String(error.retryAfter));
+                    return res.status(429).json({ error: error.message });
+                }
+                const status = error.code === 'REQUEST_TIMEOUT' || error.code === 'QUEUE_TIMEOUT' ? 504 : 500;
+                res.status(status).json({ error: error.message });
             }
         });
 
@@ -821,86 +1091,202 @@ If there are events, mention the titles and times clearly. If there are workouts
     async loadConfiguration() {
         try {
             // Load MCP server configurations and connect to them
-            await this.discoverAndConnectMCPServers();
+            await this.loadServerConfig();
             
             // Load saved API keys
             await this.loadApiKeys();
             
             console.log('Bridge service configuration loaded');
         } catch (error) {
+            // A broken config at startup is fatal; fix it rather than run half-configured
+            if (error instanceof ConfigError) {
+                console.error(error.report());
+                process.exit(1);
+            }
             console.error('Configuration load error:', error);
         }
     }
 
-    async discoverAndConnectMCPServers() {
-        // Read your Claude Desktop MCP configuration
-        const configPaths = [
-            path.join(process.env.HOME, '.config', 'claude', 'claude_desktop_config.json'),
-            path.join(process.env.HOME, 'Library', 'Application Support', 'Claude', 'claude_desktop_config.json')
-        ];
+    // Read bridge.config.json (or Claude Desktop's config), start its servers and
+    // keep watching it so edits apply without restarting the bridge
+    async loadServerConfig() {
+        this.configFile = findConfigFile();
+        if (!this.configFile) {
+            console.log('No MCP server configuration found; running without MCP servers');
+            return;
+        }
 
-        for (const configPath of configPaths) {
-            try {
-                const configData = await fs.readFile(configPath, 'utf8');
-                const config = JSON.parse(configData);
-                
-                if (config.mcpServers) {
-                    console.log(`Found ${Object.keys(config.mcpServers).length} MCP servers in config`);
-                    
-                    // Connect to each MCP server with retry logic
-                    for (const [name, serverConfig] of Object.entries(config.mcpServers)) {
-                        await this.connectWithRetry(name, serverConfig);
-                    }
-                    break;
-                }
-            } catch (error) {
-                // Config file doesn't exist or is invalid, continue
-                console.log(`Config file not found at ${configPath}`);
+        const config = await loadConfig(this.configFile);
+        console.log(`Found ${Object.keys(config.mcpServers).length} MCP servers in ${this.configFile}`);
+        await this.applyServerConfig(config.mcpServers);
+        this.configWatcher = watchConfig(this.configFile, () => this.reloadServerConfig());
+
+        const supervisors = Array.from(this.mcpClients.values());
+        const ready = supervisors.filter(supervisor => supervisor.connected).length;
+        const idle = supervisors.filter(supervisor => supervisor.state === 'idle').length;
+        console.log(`Successfully connected to ${ready} of ${this.mcpClients.size} MCP servers${idle ? ` (${idle} lazy, started on first use)` : ''}`);
+    }
+
+    async reloadServerConfig() {
+        let config;
+        try {
+            config = await loadConfig(this.configFile);
+        } catch (error) {
+            console.error(error instanceof ConfigError ? error.report() : `Failed to read ${this.configFile}: ${error.message}`);
+            console.error('⚠️  Keeping the current MCP servers until the config is fixed');
+            return;
+        }
+
+        console.log(`🔄 Reloading MCP servers from ${this.configFile}`);
+        await this.applyServerConfig(config.mcpServers);
+    }
+
+    // Bring the running servers in line with `servers`: start new ones, restart
+    // changed ones and stop removed or disabled ones. Servers start in parallel so
+    // one slow or broken server doesn't hold up the rest.
+    async applyServerConfig(servers) {
+        const previous = this.serverConfigs;
+        this.serverConfigs = servers;
+        this.serverAliases = new Map(Object.entries(servers)
+            .filter(([, server]) => server.enabled)
+            .flatMap(([name, server]) => server.aliases.map(alias => [alias, name])));
+
+        for (const [name, supervisor] of this.mcpClients) {
+            const server = servers[name];
+            if (!server || !server.enabled) {
+                console.log(`⏹️  Stopping MCP server ${name} (${server ? 'disabled' : 'removed from config'})`);
+                supervisor.disconnect();
+                this.mcpClients.delete(name);
             }
         }
 
-        console.log(`Successfully connected to ${this.mcpClients.size} MCP servers`);
+        // Aliases and troubleshooting hints can change without touching the process
+        const runtimeConfig = ({ aliases, troubleshooting, ...server } = {}) => server;
+
+        const starting = [];
+        for (const [name, server] of Object.entries(servers)) {
+            if (!server.enabled) continue;
+
+            const running = this.mcpClients.get(name);
+            if (running && isDeepStrictEqual(runtimeConfig(previous[name]), runtimeConfig(server))) continue;
+            if (running) {
+                console.log(`🔁 Config for ${name} changed; restarting it`);
+                running.disconnect();
+            }
+
+            starting.push(this.startSupervisedServer(name, server));
+        }
+        await Promise.all(starting);
     }
 
-    async connectWithRetry(name, serverConfig, maxRetries = 2) {
-        for (let attempt = 1; attempt <= maxRetries; attempt++) {
-            try {
-                console.log(`Connecting to MCP server: ${name} (attempt ${attempt}/${maxRetries})`);
-                const client = new MCPClient(serverConfig);
-                
-                // Add timeout for the entire connection process
-                const connectPromise = client.connect();
-                const timeoutPromise = new Promise((_, reject) => 
-                    setTimeout(() => reject(new Error('Connection timeout')), 60000)
-                );
-                
-                await Promise.race([connectPromise, timeoutPromise]);
-                
-                this.mcpClients.set(name, client);
-                console.log(`✅ Connected to ${name}`);
-                return; // Success, exit retry loop
-                
-            } catch (error) {
-                console.error(`❌ Failed to connect to ${name} (attempt ${attempt}): ${error.message}`);
-                
-                if (attempt === maxRetries) {
-                    console.error(`🚫 Giving up on ${name} after ${maxRetries} attempts`);
-                    
-                    // For calendar server, provide specific troubleshooting
-                    if (name === 'google-calendar') {
-                        console.error(`
-📋 Google Calendar troubleshooting:
-1. Check if OAuth tokens are valid: cd /Users/harit/AI\\ Projects/google-calendar-mcp && cat .gcp-saved-tokens.json
-2. Re-authenticate: cd /Users/harit/AI\\ Projects/google-calendar-mcp && npm run auth  
-3. Restart manually: cd /Users/harit/AI\\ Projects/google-calendar-mcp && node build/index.js
-                        `);
-                    }
-                } else {
-                    // Wait before retry
-                    await new Promise(resolve => setTimeout(resolve, 5000));
-                }
+    // Look a server up by name or alias
+    getServer(nameOrAlias) {
+        return this.mcpClients.get(this.serverAliases.get(nameOrAlias) || nameOrAlias);
+    }
+
+    async startSupervisedServer(name, serverConfig) {
+        console.log(`${serverConfig.lazy ? 'Registering lazy' : 'Connecting to'} MCP server: ${name}`);
+        // Start the MCP server under a supervisor that restarts it if it dies
+        const supervisor = new MCPSupervisor(name, () => new MCPClient(serverConfig, {
+            requestHandlers: this.serverRequestHandlers(name)
+        }), {
+            retries: serverConfig.retries,
+            concurrency: serverConfig.concurrency,
+            lazy: serverConfig.lazy,
+            idleTimeout: serverConfig.idleTimeout
+        });
+        this.mcpClients.set(name, supervisor);
+
+        supervisor.on('notification', ({ method, params }) => this.publishEvent('notification', { server: name, method, params }));
+        supervisor.on('toolsChanged', (tools) => this.publishEvent('tools', { server: name, tools: tools.map(t => t.name) }));
+        supervisor.on('state', (state, previous) => this.publishEvent('state', { server: name, state, previous }));
+
+        supervisor.on('failed', () => {
+            // Server-specific hints come from the `troubleshooting` entry in the config
+            const hints = [
+                ...(this.serverConfigs[name]?.troubleshooting || []),
+                `Then restart it in the bridge: curl -X POST http://localhost:${this.port}/api/servers/${name}/restart`
+            ];
+            console.error(`\n📋 ${name} troubleshooting:\n${hints.map((hint, index) => `${index + 1}. ${hint}`).join('\n')}\n`);
+        });
+
+        if (await supervisor.start()) {
+            console.log(supervisor.lazy ? `💤 ${name} will start on its first tool call` : `✅ Connected to ${name}`);
+        } else {
+            console.error(`⚠️  ${name} is not up yet; the supervisor will keep retrying in the background`);
+        }
+    }
+
+    publishEvent(type, data) {
+        for (const { res, server } of this.eventSubscribers) {
+            if (!server || server === data.server) {
+                res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+            }
+        }
+    }
+
+    // Requests MCP servers may send us; sampling needs a Claude API key
+    serverRequestHandlers(name) {
+        if (!this.claudeApiKey) {
+            return {};
+        }
+
+        return {
+            'sampling/createMessage': (params, { signal }) => {
+                console.log(`🧠 ${name} requested a sampling completion`);
+                return this.createSamplingMessage(params, signal);
+            }
+        };
+    }
+
+    // Answer sampling/createMessage with the Claude API
+    async createSamplingMessage(params, signal) {
+        const { messages = [], systemPrompt, maxTokens, temperature, stopSequences, modelPreferences } = params;
+
+        const toClaudeContent = (content) => {
+            if (content.type === 'text') {
+                return { type: 'text', text: content.text };
             }
+            if (content.type === 'image') {
+                return { type: 'image', source: { type: 'base64', media_type: content.mimeType, data: content.data } };
+            }
+            throw new MCPError(JSONRPC_ERRORS.INVALID_PARAMS, `Unsupported sampling content type: ${content.type}`);
+        };
+
+        // Honour a model hint if it names a Claude model; otherwise use the bridge's default
+        const hinted = modelPreferences?.hints?.find(hint => hint.name?.startsWith('claude'))?.name;
+        const body = {
+            model: hinted || 'claude-3-haiku-20240307',
+            max_tokens: maxTokens || 1000,
+            messages: messages.map(message => ({ role: message.role, content: [toClaudeContent(message.content)] }))
+        };
+        if (systemPrompt) body.system = systemPrompt;
+        if (temperature !== undefined) body.temperature = temperature;
+        if (stopSequences) body.stop_sequences = stopSequences;
+
+        const response = await fetch('https://api.anthropic.com/v1/messages', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'x-api-key': this.claudeApiKey,
+                'anthropic-version': '2023-06-01'
+            },
+            body: JSON.stringify(body),
+            signal
+        });
+
+        if (!response.ok) {
+            throw new Error(`Claude API error: ${response.status} ${response.statusText}`);
         }
+
+        const data = await response.json();
+        const stopReasons = { end_turn: 'endTurn', max_tokens: 'maxTokens', stop_sequence: 'stopSequence' };
+        return {
+            role: 'assistant',
+            content: { type: 'text', text: data.content?.find(c => c.type === 'text')?.text || '' },
+            model: data.model,
+            stopReason: stopReasons[data.stop_reason] || data.stop_reason
+        };
     }
 
     isFollowUpQuestion(message) {
@@ -1062,21 +1448,21 @@ If there are events, mention the titles and times clearly. If there are workouts
         };
     }
 
-    async callMCPFunction(serverName, functionName, parameters) {
+    async callMCPFunction(serverName, functionName, parameters, options = {}) {
         console.log(`Calling MCP function: ${serverName}.${functionName} with params:`, JSON.stringify(parameters, null, 2));
         
-        const client = this.mcpClients.get(serverName);
-        if (!client) {
+        const supervisor = this.getServer(serverName);
+        if (!supervisor) {
             console.error(`Available MCP servers: ${Array.from(this.mcpClients.keys()).join(', ')}`);
             throw new Error(`MCP server '${serverName}' not found`);
         }
 
-        if (!client.connected) {
-            console.error(`MCP server '${serverName}' is not connected`);
-            throw new Error(`MCP server '${serverName}' not connected`);
+        if (!supervisor.connected) {
+            console.error(`MCP server '${serverName}' is ${supervisor.state}`);
         }
 
-        const result = await client.callTool(functionName, parameters);
+        // Waits for a server that is starting or restarting; fails straight away if it is failed
+        const result = await supervisor.callTool(functionName, parameters, options);
         console.log(`MCP function ${serverName}.${functionName} returned:`, JSON.stringify(result, null, 2));
         return result;
     }
@@ -1183,8 +1569,9 @@ If there are events, mention the titles and times clearly. If there are workouts
     // Cleanup on exit
     cleanup() {
         console.log('Cleaning up MCP connections...');
-        for (const [name, client] of this.mcpClients) {
-            client.disconnect();
+        this.configWatcher?.close();
+        for (const [name, supervisor] of this.mcpClients) {
+            supervisor.disconnect();
         }
     }
 }
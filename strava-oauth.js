@@ -0,0 +1,111 @@
+// Browser "connect Strava" flow for bridge users
+// Sends the athlete to Strava's consent page with the scopes they picked, exchanges
+// the code for tokens with the bridge's own Strava app (STRAVA_CLIENT_ID /
+// STRAVA_CLIENT_SECRET) and keeps the tokens, and the scopes actually granted, in
+// the token store under the user's bridge API key. StravaProvider refreshes them
+// from there. Strava has no PKCE, so the `state` parameter and the browser cookie that
+// goes with it are what tie a callback to its start; only keys the bridge issued can start.
+// The Strava app's "Authorization Callback Domain" must be the bridge's domain.
+
+const crypto = require('crypto');
+const { requestStravaToken } = require('./strava-provider');
+const { PendingAuthorizations } = require('./oauth-state');
+
+const STRAVA_AUTHORIZE_URL = 'https://www.strava.com/oauth/authorize';
+const STRAVA_SCOPES = ['read', 'read_all', 'profile:read_all', 'profile:write', 'activity:read', 'activity:read_all', 'activity:write'];
+const DEFAULT_SCOPES = ['read', 'activity:read_all'];
+
+// API keys are never written to the token store, only a hash of them
+function storeKey(apiKey) {
+    return `strava-user:${crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 32)}`;
+}
+
+// "read,activity:read_all" (or an array) to a list of known scopes; null for an unknown
+// one, unless `lenient`, which drops unknown scopes instead
+function parseScopes(scope, { lenient = false } = {}) {
+    const scopes = [].concat(scope || []).join(',').split(',').map(s => s.trim()).filter(Boolean);
+    const known = scopes.filter(s => STRAVA_SCOPES.includes(s));
+    if (known.length < scopes.length && !lenient) return null;
+    return [...new Set(known)];
+}
+
+class StravaOAuth {
+    constructor({ clientId, clientSecret, tokenStore }) {
+        this.clientId = clientId;
+        this.clientSecret = clientSecret;
+        this.tokenStore = tokenStore;
+        this.pending = new PendingAuthorizations();
+    }
+
+    get configured() {
+        return !!(this.clientId && this.clientSecret);
+    }
+
+    // The Strava consent URL for `apiKey`'s user asking for `scopes`, who Strava sends
+    // back to `redirectUri`, and the secret their browser must present there
+    start(apiKey, redirectUri, scopes = DEFAULT_SCOPES) {
+        const { state, browserSecret } = this.pending.create(apiKey, { scopes });
+
+        const params = new URLSearchParams({
+            client_id: this.clientId,
+            redirect_uri: redirectUri,
+            response_type: 'code',
+            approval_prompt: 'auto',
+            scope: scopes.join(','),
+            state
+        });
+        return { url: `${STRAVA_AUTHORIZE_URL}?${params}`, browserSecret };
+    }
+
+    // Exchange the code Strava sent back and store the athlete's tokens. `scope` is
+    // what Strava reports as granted: the athlete may untick scopes on the consent page.
+    async finish({ state, code, scope, browserSecret }) {
+        const entry = this.pending.take(state, browserSecret);
+
+        const data = await requestStravaToken({
+            client_id: this.clientId,
+            client_secret: this.clientSecret,
+            code,
+            grant_type: 'authorization_code'
+        });
+
+        // Strava may grant scopes this bridge doesn't know yet; they don't hide the ones it does
+        const scopes = parseScopes(scope, { lenient: true });
+        const athlete = data.athlete || {};
+        await this.tokenStore.set(storeKey(entry.apiKey), {
+            accessToken: data.access_token,
+            refreshToken: data.refresh_token,
+            expiresAt: data.expires_at,
+            scopes,
+            athleteId: athlete.id
+        });
+        console.log(`🔗 Strava athlete ${athlete.id || '(unknown)'} connected for a bridge user (${scopes.join(',')})`);
+
+        return {
+            apiKey: entry.apiKey,
+            athlete,
+            scopes,
+            missingScopes: entry.scopes.filter(s => !scopes.includes(s))
+        };
+    }
+
+    // The user's Strava credentials for StravaProvider, or null when they haven't connected Strava
+    async credentials(apiKey) {
+        if (!apiKey || !this.configured) return null;
+        const key = storeKey(apiKey);
+        const stored = await this.tokenStore.get(key);
+        if (!stored) return null;
+
+        return {
+            accessToken: stored.accessToken,
+            refreshToken: stored.refreshToken,
+            expiresAt: stored.expiresAt,
+            scopes: stored.scopes,
+            clientId: this.clientId,
+            clientSecret: this.clientSecret,
+            storeKey: key
+        };
+    }
+}
+
+module.exports = { StravaOAuth, STRAVA_SCOPES, DEFAULT_SCOPES, parseScopes };
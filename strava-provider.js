@@ -0,0 +1,495 @@
+// Strava provider: the Strava tools every entry point offers, how each one maps onto
+// the Strava API and how Strava's errors are reported
+// Used by server-railway.js (HTTPMCPClient and the per-user /mcp/strava endpoint)
+
+const crypto = require('crypto');
+const https = require('https');
+const { JSONRPC_ERRORS, MCPError } = require('./mcp-protocol');
+const { READ_ONLY, toolResult } = require('./mcp-tools');
+const { validateToolArguments } = require('./mcp-validation');
+
+const STRAVA_API_URL = 'https://www.strava.com/api/v3';
+const STRAVA_TOKEN_URL = 'https://www.strava.com/oauth/token';
+
+// Access tokens last six hours; renew them this long before they run out
+const TOKEN_REFRESH_MARGIN = 5 * 60 * 1000;
+
+// Refreshes in flight by token store key. Strava rotates the refresh token on
+// every refresh, so two concurrent refreshes with the same token would leave
+// one of them holding a token Strava no longer accepts.
+const refreshing = new Map();
+
+// Warn MCP clients once this share of a Strava rate-limit window is used
+const STRAVA_RATE_LIMIT_WARNING = 80;
+
+// ---- OUTPUT SCHEMAS ----
+// Only the fields clients commonly rely on are listed; upstream objects carry more.
+
+const ATHLETE_SCHEMA = {
+    type: 'object',
+    properties: {
+        id: { type: 'integer' },
+        username: { type: ['string', 'null'] },
+        firstname: { type: 'string' },
+        lastname: { type: 'string' },
+        city: { type: ['string', 'null'] },
+        state: { type: ['string', 'null'] },
+        country: { type: ['string', 'null'] },
+        sex: { type: ['string', 'null'] },
+        premium: { type: 'boolean' },
+        created_at: { type: 'string', format: 'date-time' },
+        weight: { type: ['number', 'null'] },
+        profile: { type: 'string' }
+    },
+    required: ['id']
+};
+
+const ACTIVITY_SCHEMA = {
+    type: 'object',
+    properties: {
+        id: { type: 'integer' },
+        name: { type: 'string' },
+        type: { type: 'string' },
+        sport_type: { type: 'string' },
+        start_date: { type: 'string', format: 'date-time' },
+        start_date_local: { type: 'string', format: 'date-time' },
+        distance: { type: 'number', description: 'Meters' },
+        moving_time: { type: 'integer', description: 'Seconds' },
+        elapsed_time: { type: 'integer', description: 'Seconds' },
+        total_elevation_gain: { type: 'number', description: 'Meters' },
+        average_speed: { type: 'number', description: 'Meters per second' },
+        max_speed: { type: 'number', description: 'Meters per second' },
+        average_heartrate: { type: 'number' },
+        average_watts: { type: 'number' },
+        calories: { type: 'number' },
+        trainer: { type: 'boolean' },
+        description: { type: ['string', 'null'] }
+    },
+    required: ['id']
+};
+
+const ACTIVITY_TOTALS_SCHEMA = {
+    type: 'object',
+    properties: {
+        count: { type: 'integer' },
+        distance: { type: 'number', description: 'Meters' },
+        moving_time: { type: 'integer', description: 'Seconds' },
+        elapsed_time: { type: 'integer', description: 'Seconds' },
+        elevation_gain: { type: 'number', description: 'Meters' }
+    }
+};
+
+const ATHLETE_STATS_SCHEMA = {
+    type: 'object',
+    properties: {
+        biggest_ride_distance: { type: ['number', 'null'] },
+        biggest_climb_elevation_gain: { type: ['number', 'null'] },
+        recent_ride_totals: ACTIVITY_TOTALS_SCHEMA,
+        recent_run_totals: ACTIVITY_TOTALS_SCHEMA,
+        recent_swim_totals: ACTIVITY_TOTALS_SCHEMA,
+        ytd_ride_totals: ACTIVITY_TOTALS_SCHEMA,
+        ytd_run_totals: ACTIVITY_TOTALS_SCHEMA,
+        ytd_swim_totals: ACTIVITY_TOTALS_SCHEMA,
+        all_ride_totals: ACTIVITY_TOTALS_SCHEMA,
+        all_run_totals: ACTIVITY_TOTALS_SCHEMA,
+        all_swim_totals: ACTIVITY_TOTALS_SCHEMA
+    }
+};
+
+// ---- TOOLS ----
+// `scopes` lists the Strava OAuth scopes a tool works with; any one of them will do.
+
+const STRAVA_TOOLS = [
+    {
+        name: 'get_athlete_profile',
+        description: 'Get the authenticated athlete\'s profile information',
+        inputSchema: { type: 'object', properties: {} },
+        outputSchema: ATHLETE_SCHEMA,
+        annotations: READ_ONLY
+    },
+    {
+        name: 'get_athlete_activities',
+        description: 'Get the authenticated athlete\'s activities',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                before: { type: 'integer', description: 'Unix timestamp to get activities before', minimum: 0 },
+                after: { type: 'integer', description: 'Unix timestamp to get activities after', minimum: 0 },
+                page: { type: 'integer', description: 'Page number (default: 1)', minimum: 1 },
+                per_page: { type: 'integer', description: 'Number of activities per page (default: 30, max: 200)', minimum: 1, maximum: 200 }
+            }
+        },
+        outputSchema: {
+            type: 'object',
+            properties: { activities: { type: 'array', items: ACTIVITY_SCHEMA } },
+            required: ['activities']
+        },
+        annotations: READ_ONLY,
+        scopes: ['activity:read', 'activity:read_all']
+    },
+    {
+        name: 'get_activity_details',
+        description: 'Get detailed information about a specific activity',
+        inputSchema: {
+            type: 'object',
+            properties: { activity_id: { type: ['string', 'integer'], description: 'The ID of the activity', pattern: '^\\d+$', minimum: 1 } },
+            required: ['activity_id']
+        },
+        outputSchema: ACTIVITY_SCHEMA,
+        annotations: READ_ONLY,
+        scopes: ['activity:read', 'activity:read_all']
+    },
+    {
+        name: 'get_athlete_stats',
+        description: 'Get the authenticated athlete\'s statistics',
+        inputSchema: {
+            type: 'object',
+            properties: { athlete_id: { type: ['string', 'integer'], description: 'The ID of the athlete (use current athlete if not provided)', pattern: '^\\d+$', minimum: 1 } }
+        },
+        outputSchema: ATHLETE_STATS_SCHEMA,
+        annotations: READ_ONLY
+    }
+];
+
+// Strava reports "15-minute,daily" limits and usage on every response
+function stravaRateLimit(headers) {
+    const limits = (headers['x-ratelimit-limit'] || '').split(',').map(Number);
+    const usage = (headers['x-ratelimit-usage'] || '').split(',').map(Number);
+    if (limits.length < 2 || usage.length < 2 || limits.some(isNaN) || usage.some(isNaN)) {
+        return null;
+    }
+
+    const windows = [
+        { window: '15-minute', limit: limits[0], usage: usage[0] },
+        { window: 'daily', limit: limits[1], usage: usage[1] }
+    ];
+    const tightest = windows.reduce((a, b) => (b.usage / b.limit > a.usage / a.limit ? b : a));
+    return { ...tightest, usedPercent: Math.round((tightest.usage / tightest.limit) * 100) };
+}
+
+// The athlete never granted `scope`, so only authorizing again can help
+function missingScopeError(scope, grantedScopes = null) {
+    const scopes = [...new Set([...(grantedScopes || ['read']), scope])].join(',');
+    return new MCPError(
+        JSONRPC_ERRORS.UNAUTHORIZED,
+        `This Strava account has not granted the "${scope}" scope; re-authorize with scope ${scope} (/oauth/strava/start?scope=${scopes})`,
+        { status: 403, data: { requiredScope: scope, grantedScopes } }
+    );
+}
+
+// The MCP error for a failed Strava API response
+function stravaError(status, body) {
+    const detail = `Strava API error: ${status} ${body.message || 'Unknown error'}`;
+    const data = { status, errors: body.errors };
+
+    // e.g. { field: 'activity:read_permission', code: 'missing' }
+    const missing = (body.errors || []).find(error => error.code === 'missing' && /_permission$/.test(error.field || ''));
+    if (status === 401 && missing) {
+        return missingScopeError(missing.field.replace(/_permission$/, ''));
+    }
+    if (status === 401) {
+        return new MCPError(JSONRPC_ERRORS.UNAUTHORIZED, `${detail} (the Strava access token is invalid or expired)`, { status: 401, data });
+    }
+    if (status === 404) {
+        return new MCPError(JSONRPC_ERRORS.RESOURCE_NOT_FOUND, detail, { status: 404, data });
+    }
+    if (status === 429) {
+        return new MCPError(JSONRPC_ERRORS.SERVER_UNAVAILABLE, 'Strava rate limit exceeded, try again later', { status: 429, data });
+    }
+    return new MCPError(status >= 500 ? JSONRPC_ERRORS.SERVER_UNAVAILABLE : JSONRPC_ERRORS.INTERNAL_ERROR, detail, { status: 502, data });
+}
+
+// POST to Strava's token endpoint, for both authorization codes and refresh tokens
+function requestStravaToken(params, { signal } = {}) {
+    const body = new URLSearchParams(params).toString();
+
+    return new Promise((resolve, reject) => {
+        const req = https.request(STRAVA_TOKEN_URL, {
+            method: 'POST',
+            signal,
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+                'Content-Length': Buffer.byteLength(body),
+                'Accept': 'application/json'
+            }
+        }, (res) => {
+            let data = '';
+            res.on('data', chunk => data += chunk);
+            res.on('end', () => {
+                let jsonData;
+                try {
+                    jsonData = JSON.parse(data);
+                } catch (error) {
+                    reject(new Error(`Failed to parse Strava token response: ${error.message}`));
+                    return;
+                }
+
+                // A revoked, used or already-rotated grant can't be fixed by retrying
+                if (res.statusCode === 400 || res.statusCode === 401) {
+                    const grant = params.grant_type === 'refresh_token' ? 'refresh token' : 'authorization code';
+                    reject(new MCPError(
+                        JSONRPC_ERRORS.UNAUTHORIZED,
+                        `Strava refused the ${grant} (${jsonData.message || res.statusCode}); re-authorize with Strava to get a new one`,
+                        { status: 401, data: { status: res.statusCode, errors: jsonData.errors } }
+                    ));
+                    return;
+                }
+                if (res.statusCode >= 400) {
+                    reject(stravaError(res.statusCode, jsonData));
+                    return;
+                }
+                resolve(jsonData);
+            });
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+// Strava credentials sent by an MCP client: an access token in X-Strava-Token, or a
+// refresh token in X-Strava-Refresh-Token. The client ID and secret for refreshing
+// default to the bridge's own Strava app. Null when neither token was sent.
+function stravaCredentialsFromHeaders(headers, env = process.env) {
+    const accessToken = headers['x-strava-token'];
+    const refreshToken = headers['x-strava-refresh-token'];
+    if (!accessToken && !refreshToken) return null;
+
+    return {
+        accessToken,
+        refreshToken,
+        clientId: headers['x-strava-client-id'] || env.STRAVA_CLIENT_ID,
+        clientSecret: headers['x-strava-client-secret'] || env.STRAVA_CLIENT_SECRET
+    };
+}
+
+// Strava API access for one athlete. With a refresh token and the app's client ID and
+// secret the access token is renewed before it expires (or after Strava rejects it),
+// and the rotated tokens are saved in `tokenStore` under the refresh token first given.
+class StravaProvider {
+    // `scopes` are the scopes the athlete granted, when known; `storeKey` is where the
+    // tokens live in the store if not under the refresh token.
+    constructor({ accessToken, refreshToken, clientId, clientSecret, expiresAt, scopes, storeKey } = {}, { tokenStore = null } = {}) {
+        this.accessToken = accessToken || null;
+        this.refreshToken = refreshToken || null;
+        this.clientId = clientId;
+        this.clientSecret = clientSecret;
+        this.expiresAt = expiresAt || null;     // Unix seconds, as Strava reports it
+        this.scopes = scopes || null;
+        this.tokenStore = tokenStore;
+        this.storeKey = storeKey || (this.refreshToken
+            ? `strava:${crypto.createHash('sha256').update(this.refreshToken).digest('hex').slice(0, 32)}`
+            : null);
+        this.storeChecked = false;
+    }
+
+    get configured() {
+        return !!this.accessToken || this.canRefresh;
+    }
+
+    get canRefresh() {
+        return !!(this.refreshToken && this.clientId && this.clientSecret);
+    }
+
+    get tools() {
+        return STRAVA_TOOLS;
+    }
+
+    // Run a Strava tool. `signal` aborts the upstream request,
+    // `onProgress(progress, total, message)` reports each upstream call as it completes and
+    // `log(level, data, logger)` passes upstream errors and warnings on to the MCP client.
+    async callTool(toolName, parameters, { signal, onProgress = () => {}, log = () => {} } = {}) {
+        parameters = validateToolArguments(STRAVA_TOOLS, toolName, parameters);
+        this.checkScopes(toolName);
+
+        let steps = 1;
+        let endpoint = '';
+        let queryParams = '';
+        let structure = (data) => data;
+        
+        switch (toolName) {
+            case 'get_athlete_profile':
+                endpoint = '/athlete';
+                break;
+            case 'get_athlete_activities':
+                endpoint = '/athlete/activities';
+                const params = new URLSearchParams();
+                if (parameters.before) params.append('before', parameters.before);
+                if (parameters.after) params.append('after', parameters.after);
+                if (parameters.page) params.append('page', parameters.page);
+                if (parameters.per_page) params.append('per_page', parameters.per_page);
+                queryParams = params.toString() ? '?' + params.toString() : '';
+                structure = (activities) => ({ activities });
+                break;
+            case 'get_activity_details':
+                endpoint = `/activities/${parameters.activity_id}`;
+                break;
+            case 'get_athlete_stats':
+                if (!parameters.athlete_id) {
+                    steps = 2;
+                    onProgress(0, steps, 'Looking up the authenticated athlete');
+                    const athlete = await this.callTool('get_athlete_profile', {}, { signal, log });
+                    parameters.athlete_id = athlete.structuredContent.id;
+                    onProgress(1, steps, 'Fetching athlete stats');
+                }
+                endpoint = `/athletes/${parameters.athlete_id}/stats`;
+                break;
+            default:
+                throw new Error(`Unknown Strava tool: ${toolName}`);
+        }
+
+        let data;
+        try {
+            data = await this.request(`${endpoint}${queryParams}`, { signal, log, toolName });
+        } catch (error) {
+            // Without activity:read_all Strava hides private activities behind a 404
+            if (toolName === 'get_activity_details' && error.status === 404 && this.scopes && !this.scopes.includes('activity:read_all')) {
+                throw new MCPError(
+                    JSONRPC_ERRORS.RESOURCE_NOT_FOUND,
+                    `${error.message}. If this is a private activity, re-authorize with scope activity:read_all (/oauth/strava/start?scope=${[...new Set([...this.scopes, 'activity:read_all'])].join(',')})`,
+                    { status: 404, data: { ...error.data, requiredScope: 'activity:read_all', grantedScopes: this.scopes } }
+                );
+            }
+            throw error;
+        }
+        onProgress(steps, steps);
+        return toolResult(data, structure(data));
+    }
+
+    // Fail up front when the athlete is known not to have granted any scope the tool works with
+    checkScopes(toolName) {
+        const required = STRAVA_TOOLS.find(tool => tool.name === toolName)?.scopes;
+        if (!this.scopes || !required || required.some(scope => this.scopes.includes(scope))) return;
+        throw missingScopeError(required[0], this.scopes);
+    }
+
+    // Cheapest authenticated call, to check the token still works. The expiry is
+    // only known once the bridge has refreshed the token itself.
+    async probe({ signal } = {}) {
+        const athlete = await this.request('/athlete', { signal });
+        return {
+            account: athlete.username || String(athlete.id),
+            tokenExpiresAt: this.expiresAt ? new Date(this.expiresAt * 1000).toISOString() : null
+        };
+    }
+
+    // An access token that is good for a while yet, refreshing it first if needed
+    async getAccessToken({ signal } = {}) {
+        // Tokens rotated earlier are newer than the ones the caller sent
+        if (this.tokenStore && this.storeKey && !this.storeChecked) {
+            this.storeChecked = true;
+            const stored = await this.tokenStore.get(this.storeKey);
+            if (stored) {
+                this.useTokens(stored);
+                this.scopes = stored.scopes || this.scopes;
+            }
+        }
+
+        const expiring = this.expiresAt && this.expiresAt * 1000 - Date.now() < TOKEN_REFRESH_MARGIN;
+        if (this.canRefresh && (!this.accessToken || expiring)) {
+            await this.refresh({ signal });
+        }
+        return this.accessToken;
+    }
+
+    useTokens({ accessToken, refreshToken, expiresAt }) {
+        this.accessToken = accessToken;
+        this.refreshToken = refreshToken;
+        this.expiresAt = expiresAt;
+    }
+
+    // Exchange the refresh token for a new access token, sharing the exchange with
+    // any other provider refreshing the same token at the same time
+    async refresh({ signal } = {}) {
+        const key = this.storeKey;
+        if (!refreshing.has(key)) {
+            const exchange = this.exchangeRefreshToken(signal)
+                .then(async (tokens) => {
+                    if (this.tokenStore) {
+                        await this.tokenStore.update(key, tokens).catch(error => {
+                            console.error(`⚠️  Could not save refreshed Strava tokens: ${error.message}`);
+                        });
+                    }
+                    return tokens;
+                })
+                .finally(() => refreshing.delete(key));
+            refreshing.set(key, exchange);
+        }
+        this.useTokens(await refreshing.get(key));
+    }
+
+    async exchangeRefreshToken(signal) {
+        const data = await requestStravaToken({
+            client_id: this.clientId,
+            client_secret: this.clientSecret,
+            grant_type: 'refresh_token',
+            refresh_token: this.refreshToken
+        }, { signal });
+
+        console.log(`🔑 Refreshed Strava access token (valid until ${new Date(data.expires_at * 1000).toISOString()})`);
+        return {
+            accessToken: data.access_token,
+            refreshToken: data.refresh_token || this.refreshToken,
+            expiresAt: data.expires_at
+        };
+    }
+
+    // Authenticated API call. A 401 is retried once with a refreshed token, since
+    // the token may have been revoked or expired early.
+    async request(path, { signal, log = () => {}, toolName } = {}) {
+        const accessToken = await this.getAccessToken({ signal });
+        try {
+            return await this.send(path, accessToken, { signal, log, toolName });
+        } catch (error) {
+            if (error.status !== 401 || !this.canRefresh) throw error;
+        }
+
+        // Another call may already have refreshed the token this one was rejected with
+        if (this.accessToken === accessToken) {
+            await this.refresh({ signal });
+        }
+        return await this.send(path, this.accessToken, { signal, log, toolName });
+    }
+
+    send(path, accessToken, { signal, log, toolName }) {
+        return new Promise((resolve, reject) => {
+            https.request(`${STRAVA_API_URL}${path}`, {
+                signal,
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`,
+                    'Accept': 'application/json'
+                }
+            }, (res) => {
+                let data = '';
+                res.on('data', chunk => data += chunk);
+                res.on('end', () => {
+                    let jsonData;
+                    try {
+                        jsonData = JSON.parse(data);
+                    } catch (error) {
+                        reject(new Error(`Failed to parse Strava response: ${error.message}`));
+                        return;
+                    }
+
+                    const rateLimit = stravaRateLimit(res.headers);
+                    if (res.statusCode >= 400) {
+                        const error = stravaError(res.statusCode, jsonData);
+                        log('error', { tool: toolName, status: res.statusCode, message: error.message, errors: jsonData.errors, rateLimit }, 'strava');
+                        reject(error);
+                        return;
+                    }
+
+                    if (rateLimit && rateLimit.usedPercent >= STRAVA_RATE_LIMIT_WARNING) {
+                        log('warning', {
+                            tool: toolName,
+                            message: `Strava rate limit ${rateLimit.usedPercent}% used (${rateLimit.window} window)`,
+                            rateLimit
+                        }, 'strava');
+                    }
+                    resolve(jsonData);
+                });
+            }).on('error', reject).end();
+        });
+    }
+}
+
+module.exports = { STRAVA_TOOLS, StravaProvider, requestStravaToken, stravaCredentialsFromHeaders };
@@ -0,0 +1,72 @@
+// Persistent store for OAuth tokens the bridge obtains or rotates itself
+// One JSON file of entries by key (e.g. "strava:<hash>"). On Railway, point
+// TOKEN_STORE_FILE at a mounted volume or tokens are lost on every deploy.
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const DEFAULT_TOKEN_FILE = path.join(__dirname, 'oauth-tokens.json');
+
+class TokenStore {
+    constructor(file = process.env.TOKEN_STORE_FILE || DEFAULT_TOKEN_FILE) {
+        this.file = file;
+        this.entries = null;
+        this.loading = null;
+        this.writing = Promise.resolve();
+    }
+
+    async load() {
+        if (this.entries) return this.entries;
+        if (!this.loading) {
+            this.loading = fs.readFile(this.file, 'utf8')
+                .then(data => JSON.parse(data))
+                .catch(error => {
+                    if (error.code !== 'ENOENT') {
+                        console.error(`⚠️  Could not read token store ${this.file}: ${error.message}`);
+                    }
+                    return {};
+                })
+                .then(entries => {
+                    this.entries = entries;
+                    return entries;
+                });
+        }
+        return this.loading;
+    }
+
+    async get(key) {
+        const entries = await this.load();
+        return entries[key] || null;
+    }
+
+    async set(key, entry) {
+        const entries = await this.load();
+        entries[key] = { ...entry, updatedAt: new Date().toISOString() };
+        await this.save();
+    }
+
+    // Merge `changes` into the entry, keeping fields they don't mention
+    async update(key, changes) {
+        const entries = await this.load();
+        await this.set(key, { ...entries[key], ...changes });
+    }
+
+    async delete(key) {
+        const entries = await this.load();
+        delete entries[key];
+        await this.save();
+    }
+
+    // Writes go one at a time through a temporary file, so a crash mid-write
+    // never leaves a truncated store behind. Only the owner may read the file.
+    save() {
+        this.writing = this.writing.catch(() => {}).then(async () => {
+            const temp = `${this.file}.${process.pid}.tmp`;
+            await fs.writeFile(temp, JSON.stringify(this.entries, null, 2), { mode: 0o600 });
+            await fs.rename(temp, this.file);
+        });
+        return this.writing;
+    }
+}
+
+module.exports = { TokenStore };
@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+
+/**
+ * Vendor the Calendar provider into mcp-deployment/google-calendar-mcp
+ *
+ * The google-calendar-mcp package is deployed on its own, so it can't require files
+ * from the repository root. It runs the same calendar-provider.js as the bridge from
+ * a copy in its vendor/ directory, which this script keeps identical to the root files.
+ *
+ * Usage:
+ *   npm run vendor:calendar            copy the files after changing any of them
+ *   npm run vendor:calendar -- --check exit with status 1 if the copies are out of date
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// calendar-provider.js and every module it requires from the repository root
+const FILES = ['calendar-provider.js', 'mcp-protocol.js', 'mcp-tools.js', 'mcp-validation.js'];
+const VENDOR_DIR = path.join(__dirname, 'mcp-deployment', 'google-calendar-mcp', 'vendor');
+
+const check = process.argv.includes('--check');
+const stale = FILES.filter(file => {
+    const source = fs.readFileSync(path.join(__dirname, file));
+    const target = path.join(VENDOR_DIR, file);
+    return !fs.existsSync(target) || !source.equals(fs.readFileSync(target));
+});
+
+if (check) {
+    if (stale.length > 0) {
+        console.error(`❌ Out of date in ${path.relative(__dirname, VENDOR_DIR)}: ${stale.join(', ')}`);
+        console.error('   Run: npm run vendor:calendar');
+        process.exit(1);
+    }
+    console.log('✅ Vendored Calendar provider is up to date');
+    process.exit(0);
+}
+
+for (const file of stale) {
+    fs.copyFileSync(path.join(__dirname, file), path.join(VENDOR_DIR, file));
+    console.log(`📦 Copied ${file}`);
+}
+console.log(stale.length > 0 ? '✅ Vendored Calendar provider updated' : '✅ Vendored Calendar provider already up to date');